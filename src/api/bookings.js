@@ -0,0 +1,212 @@
+const { EXPORT } = require('../config/constants');
+const { createLogger } = require('../utils/logger');
+const { getDefaultAccount } = require('../config/accounts');
+const { getCanonicalRoomName } = require('../config/rooms');
+const { getBookingUid } = require('../utils/booking-identity');
+const { parseBookingFilter, applyBookingFilter } = require('../utils/booking-filter');
+const { getBookingTimeZone, getBookingInterval } = require('../utils/timezone');
+const { getFeed } = require('./calendar');
+
+const logger = createLogger('BOOKINGS');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CSV_COLUMNS = [
+  'id', 'bookingId', 'status', 'title', 'room', 'date', 'startTime', 'endTime',
+  'durationMinutes', 'start', 'end', 'description', 'owner', 'firstSeen', 'lastSeen'
+];
+
+/**
+ * Flat export record with a stable id (the calendar UID) and the booking's
+ * real start/end instants, so durations are right across DST changes
+ */
+function toExportRecord(booking) {
+  let start = null;
+  let end = null;
+  try {
+    ({ start, end } = getBookingInterval(booking, getBookingTimeZone()));
+  } catch (error) {
+    logger.debug('Booking has invalid date/time, exporting without duration', { date: booking.date });
+  }
+
+  return {
+    id: booking.uid || getBookingUid(booking),
+    bookingId: booking.bookingId ?? null,
+    status: booking.status === 'cancelled' ? 'cancelled' : 'confirmed',
+    title: booking.title || '',
+    room: getCanonicalRoomName(booking.room) || '',
+    date: booking.date,
+    startTime: booking.startTime,
+    endTime: booking.endTime,
+    durationMinutes: start && end ? Math.round((end - start) / 60000) : null,
+    start: start ? start.toISOString() : null,
+    end: end ? end.toISOString() : null,
+    description: booking.description || '',
+    owner: booking.owner || null,
+    firstSeen: booking.firstSeen || null,
+    lastSeen: booking.lastSeen || null
+  };
+}
+
+function compareRecords(a, b) {
+  return `${a.date} ${a.startTime}`.localeCompare(`${b.date} ${b.startTime}`) || a.room.localeCompare(b.room);
+}
+
+/**
+ * Resolve `?feed=` and the filter parameters into export records, or send a
+ * 4xx and return null
+ */
+async function loadRecords(req, res) {
+  const feedId = req.query.feed || getDefaultAccount().id;
+  const feed = getFeed(feedId);
+  if (!feed) {
+    res.status(404).json({ error: `Unknown feed: ${feedId}` });
+    return null;
+  }
+
+  const { filter, errors } = parseBookingFilter(req.query);
+  if (errors.length > 0) {
+    res.status(400).json({ error: errors.join('; ') });
+    return null;
+  }
+
+  const bookings = applyBookingFilter(applyBookingFilter(await feed.loadBookings(), feed.filter), filter);
+  return bookings.map(toExportRecord).sort(compareRecords);
+}
+
+function parsePositiveInt(value, fallback) {
+  if (value === undefined) {
+    return fallback;
+  }
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+/**
+ * GET /bookings - paginated JSON
+ */
+async function handleBookingsRequest(req, res) {
+  try {
+    const page = parsePositiveInt(req.query.page, 1);
+    const pageSize = parsePositiveInt(req.query.pageSize, EXPORT.DEFAULT_PAGE_SIZE);
+    if (!page || !pageSize || pageSize > EXPORT.MAX_PAGE_SIZE) {
+      return res.status(400).json({ error: `"page" must be a positive integer and "pageSize" between 1 and ${EXPORT.MAX_PAGE_SIZE}` });
+    }
+
+    const records = await loadRecords(req, res);
+    if (!records) {
+      return;
+    }
+
+    res.json({
+      total: records.length,
+      page,
+      pageSize,
+      pages: Math.ceil(records.length / pageSize),
+      bookings: records.slice((page - 1) * pageSize, page * pageSize)
+    });
+
+  } catch (error) {
+    logger.error('Error exporting bookings', error);
+    res.status(500).json({ error: 'Failed to export bookings' });
+  }
+}
+
+function toCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  // Keep spreadsheets from evaluating text that looks like a formula
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * GET /bookings.csv - every matching booking, one row each
+ */
+async function handleBookingsCsvRequest(req, res) {
+  try {
+    const records = await loadRecords(req, res);
+    if (!records) {
+      return;
+    }
+
+    const rows = [CSV_COLUMNS, ...records.map(record => CSV_COLUMNS.map(column => record[column]))];
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': 'attachment; filename="lucid-bookings.csv"'
+    });
+    res.send(rows.map(row => row.map(toCsvValue).join(',')).join('\r\n') + '\r\n');
+
+  } catch (error) {
+    logger.error('Error exporting bookings as CSV', error);
+    res.status(500).json({ error: 'Failed to export bookings' });
+  }
+}
+
+/**
+ * Period a booking date falls in: the Monday starting its week, or YYYY-MM.
+ * Null for a date that doesn't exist.
+ */
+function getPeriod(date, period) {
+  const day = new Date(`${date}T00:00:00Z`);
+  if (Number.isNaN(day.getTime()) || day.toISOString().slice(0, 10) !== date) {
+    return null;
+  }
+  if (period === 'month') {
+    return date.slice(0, 7);
+  }
+  const monday = new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+  return monday.toISOString().slice(0, 10);
+}
+
+/**
+ * GET /bookings/summary - booked hours per room per week or month
+ * (cancelled bookings excluded)
+ */
+async function handleBookingsSummaryRequest(req, res) {
+  try {
+    const period = req.query.period || 'week';
+    if (!EXPORT.SUMMARY_PERIODS.includes(period)) {
+      return res.status(400).json({ error: `"period" must be one of: ${EXPORT.SUMMARY_PERIODS.join(', ')}` });
+    }
+
+    const records = await loadRecords(req, res);
+    if (!records) {
+      return;
+    }
+
+    const totals = new Map();
+    for (const record of records) {
+      const recordPeriod = getPeriod(record.date, period);
+      if (record.status === 'cancelled' || record.durationMinutes === null || recordPeriod === null) {
+        continue;
+      }
+      const key = `${recordPeriod}|${record.room}`;
+      const total = totals.get(key) || { period: recordPeriod, room: record.room, bookings: 0, minutes: 0 };
+      total.bookings++;
+      total.minutes += record.durationMinutes;
+      totals.set(key, total);
+    }
+
+    const summary = Array.from(totals.values())
+      .sort((a, b) => a.period.localeCompare(b.period) || a.room.localeCompare(b.room))
+      .map(({ minutes, ...total }) => ({ ...total, hours: Math.round(minutes / 60 * 100) / 100 }));
+
+    res.json({ period, summary });
+
+  } catch (error) {
+    logger.error('Error summarizing bookings', error);
+    res.status(500).json({ error: 'Failed to summarize bookings' });
+  }
+}
+
+module.exports = {
+  handleBookingsRequest,
+  handleBookingsCsvRequest,
+  handleBookingsSummaryRequest,
+  toExportRecord
+};
@@ -1,42 +1,124 @@
+const crypto = require('crypto');
 const fs = require('fs-extra');
-const path = require('path');
 const ical = require('ical-generator');
-const { PATHS } = require('../config/constants');
+const { DateTime } = require('luxon');
+const { CALENDAR, ACCOUNTS, FEED_CACHE, URLS } = require('../config/constants');
+const { getAccounts, getAccount, getDefaultAccount, isTeamFeedEnabled } = require('../config/accounts');
+const { getView } = require('../config/feeds');
+const { parseAlarmParam, getAlarmMinutes } = require('../config/alarms');
+const { findRoom } = require('../config/rooms');
+const { parseBookingFilter, applyBookingFilter } = require('../utils/booking-filter');
 const { calendarLogger: logger } = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const { getBookingUid } = require('../utils/booking-identity');
+const { createBookingStore, withoutExpiredCancellations } = require('../storage/booking-store');
+const {
+  getBookingTimeZone,
+  getBookingInterval,
+  isValidTimeZone,
+  getVtimezoneComponent
+} = require('../utils/timezone');
+
+/**
+ * Location, categories and extra description lines for a booking's room,
+ * from the room registry when the room is registered
+ */
+function getRoomDetails(booking) {
+  const room = findRoom(booking.room);
+  if (!room) {
+    return { location: booking.room || '', categories: [], notes: [] };
+  }
+
+  const address = [room.floor, room.address].filter(Boolean).join(', ');
+  const notes = [];
+  if (room.capacity) {
+    notes.push(`Capacity: ${room.capacity}`);
+  }
+  if (room.amenities.length > 0) {
+    notes.push(`Amenities: ${room.amenities.join(', ')}`);
+  }
+
+  return {
+    location: address || room.geo
+      ? { title: room.name, ...(address && { address }), ...(room.geo && { geo: room.geo }) }
+      : room.name,
+    categories: room.category ? [{ name: room.category }] : [],
+    notes
+  };
+}
+
+/**
+ * Build the ICS feed. Booking times are read as wall-clock times in the
+ * booking timezone and emitted in `options.timezone` (defaults to the same zone).
+ * Bookings carrying an `owner` (team feed) get it appended to the summary.
+ * `options.alarm` overrides the configured reminder (minutes, or null for none).
+ */
+function generateICS(bookings, options = {}) {
+  const bookingTimeZone = getBookingTimeZone();
+  const displayTimeZone = options.timezone || bookingTimeZone;
 
-function generateICS(bookings) {
   const cal = ical.default({
-    name: 'Lucid Private Offices Bookings',
+    name: options.name || 'Lucid Private Offices Bookings',
     description: 'Room bookings from Lucid Private Offices',
-    timezone: 'America/New_York' // Adjust as needed
+    // No calendar-level zone: ical-generator would write DTSTAMP, CREATED and
+    // LAST-MODIFIED as floating local times. Events carry the zone instead.
+    timezone: { name: null, generator: getVtimezoneComponent },
+    x: [{ key: 'X-WR-TIMEZONE', value: displayTimeZone }]
   });
 
-  bookings.forEach((booking, index) => {
-    cal.createEvent({
-      uid: `lucid-booking-${index}-${Date.now()}@lucid-to-ics`,
-      start: new Date(`${booking.date}T${booking.startTime}:00`),
-      end: new Date(`${booking.date}T${booking.endTime}:00`),
-      summary: booking.title || 'Room Booking',
-      description: booking.description || '',
-      location: booking.room || '',
-      created: new Date(),
-      lastModified: new Date()
+  bookings.forEach((booking) => {
+    let start;
+    let end;
+    try {
+      ({ start, end } = getBookingInterval(booking, bookingTimeZone));
+    } catch (error) {
+      logger.warn('Skipping booking with invalid date/time', { date: booking.date, startTime: booking.startTime, endTime: booking.endTime });
+      return;
+    }
+
+    const cancelled = booking.status === 'cancelled';
+    const owner = booking.owner ? ` (${booking.owner})` : '';
+    const summary = `${cancelled ? CALENDAR.CANCELLED_PREFIX : ''}${booking.title || 'Room Booking'}${owner}`;
+    const { location, categories, notes } = getRoomDetails(booking);
+
+    const event = cal.createEvent({
+      id: booking.uid || getBookingUid(booking),
+      sequence: booking.sequence || 0,
+      // Luxon dates are written as wall-clock time in the TZID zone; native Dates
+      // would be written in the server's local zone
+      start: DateTime.fromJSDate(start, { zone: displayTimeZone }),
+      end: DateTime.fromJSDate(end, { zone: displayTimeZone }),
+      timezone: displayTimeZone,
+      status: cancelled ? ical.ICalEventStatus.CANCELLED : ical.ICalEventStatus.CONFIRMED,
+      summary,
+      description: [booking.description, notes.join('\n')].filter(Boolean).join('\n\n'),
+      location,
+      categories,
+      url: URLS.BOOKINGS,
+      created: booking.created ? new Date(booking.created) : null,
+      lastModified: booking.lastModified ? new Date(booking.lastModified) : null,
+      // A fixed DTSTAMP keeps the output identical until the data changes (see the feed ETag)
+      ...(booking.lastModified && { stamp: new Date(booking.lastModified) })
     });
+
+    const alarmMinutes = cancelled ? null : getAlarmMinutes(booking.room, options.alarm);
+    if (alarmMinutes !== null) {
+      event.createAlarm({
+        type: ical.ICalAlarmType.display,
+        trigger: alarmMinutes * 60,
+        description: summary
+      });
+    }
   });
 
   return cal.toString();
 }
 
-async function getBookingsData() {
-  const dataPath = path.join(__dirname, '../../', PATHS.BOOKINGS_DATA);
-  
+async function getBookingsData(account = getDefaultAccount()) {
   try {
-    if (await fs.pathExists(dataPath)) {
-      const data = await fs.readJson(dataPath);
-      logger.debug(`Loaded ${data.bookings?.length || 0} bookings from data file`);
-      return data.bookings || [];
-    }
-    logger.warn('Bookings data file does not exist');
+    const bookings = await createBookingStore(account.paths.bookings).getBookings();
+    logger.debug(`Loaded ${bookings.length} bookings from booking store`, { account: account.id });
+    return bookings;
   } catch (error) {
     logger.error('Error reading bookings data', error);
   }
@@ -44,42 +126,222 @@ async function getBookingsData() {
   return [];
 }
 
-async function handleCalendarRequest(req, res) {
+/**
+ * Bookings of every account, tagged with the account name. A booking seen by
+ * several accounts is listed once.
+ */
+async function getTeamBookingsData() {
+  const seen = new Set();
+  const bookings = [];
+
+  for (const account of getAccounts()) {
+    for (const booking of await getBookingsData(account)) {
+      const uid = booking.uid || getBookingUid(booking);
+      if (!seen.has(uid)) {
+        seen.add(uid);
+        bookings.push({ ...booking, owner: account.name });
+      }
+    }
+  }
+
+  return bookings;
+}
+
+// Generated feeds by request URL: { version, expiresAt, ics, etag, lastModified }
+const feedCache = new Map();
+
+/**
+ * Cheap fingerprint of the booking stores behind a feed. A store file is only
+ * rewritten by a scrape, so this changes exactly when the data does.
+ */
+async function getDataVersion(accounts) {
+  const parts = await Promise.all(accounts.map(async (account) => {
+    try {
+      const stats = await fs.stat(account.paths.bookings);
+      return `${account.id}:${stats.mtimeMs}:${stats.size}`;
+    } catch (error) {
+      return `${account.id}:none`;
+    }
+  }));
+  return parts.join('|');
+}
+
+/**
+ * Most recent lastUpdated of the feed's booking stores, or null before the first scrape
+ */
+async function getLastUpdated(accounts) {
+  const stores = await Promise.all(accounts.map(account => createBookingStore(account.paths.bookings).load()));
+  const times = stores.filter(data => data.lastUpdated).map(data => new Date(data.lastUpdated).getTime());
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
+function cacheFeed(key, entry) {
+  feedCache.delete(key);
+  feedCache.set(key, entry);
+  while (feedCache.size > FEED_CACHE.MAX_ENTRIES) {
+    feedCache.delete(feedCache.keys().next().value);
+  }
+}
+
+/**
+ * Respond with a feed's ICS. The feed's own filter (saved views) and any
+ * filter query parameters both apply. Output is cached until the underlying
+ * data changes and served with an ETag and Last-Modified, so polling clients
+ * get a 304 when nothing changed.
+ */
+async function sendCalendar(req, res, { loadBookings, accounts, filter = {}, name, filename = 'lucid-bookings.ics' }) {
+  res.on('finish', () => metrics.calendarRequests.inc({ status: res.statusCode }));
+  
   try {
     logger.progress('Calendar request received');
-    const bookings = await getBookingsData();
-    logger.info(`Generating calendar for ${bookings.length} bookings`);
     
-    const icsContent = generateICS(bookings);
+    const { tz } = req.query;
+    if (tz && !isValidTimeZone(tz)) {
+      logger.warn('Invalid timezone override requested', { tz });
+      return res.status(400).json({ error: `Unknown timezone: ${tz}` });
+    }
+    
+    const { filter: queryFilter, errors } = parseBookingFilter(req.query);
+    if (errors.length > 0) {
+      logger.warn('Invalid calendar filter requested', { errors });
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+    
+    const { minutes: alarm, error: alarmError } = parseAlarmParam(req.query.alarm);
+    if (alarmError) {
+      logger.warn('Invalid alarm requested', { alarm: req.query.alarm });
+      return res.status(400).json({ error: alarmError });
+    }
+    
+    const cacheKey = req.originalUrl;
+    const version = await getDataVersion(accounts);
+    let entry = feedCache.get(cacheKey);
+    
+    if (entry && entry.version === version && Date.now() < entry.expiresAt) {
+      logger.debug('Serving cached calendar', { url: cacheKey });
+    } else {
+      const bookings = applyBookingFilter(
+        applyBookingFilter(withoutExpiredCancellations(await loadBookings()), filter),
+        queryFilter
+      );
+      logger.info(`Generating calendar for ${bookings.length} bookings`, { timezone: tz || getBookingTimeZone() });
+      
+      const stopTimer = metrics.calendarGeneration.startTimer();
+      const icsContent = generateICS(bookings, { timezone: tz, name, alarm });
+      stopTimer();
+      
+      const etag = `"${crypto.createHash('sha1').update(icsContent).digest('hex')}"`;
+      let lastModified;
+      if (entry && entry.etag === etag) {
+        // A scrape that changed nothing in this feed doesn't make it modified
+        lastModified = entry.lastModified;
+      } else if (entry && entry.version === version) {
+        // Same data but different output means time alone changed the feed (a
+        // booking ended or a cancellation expired), so it was modified just now
+        lastModified = new Date();
+      } else {
+        lastModified = await getLastUpdated(accounts);
+      }
+      
+      entry = {
+        version,
+        expiresAt: Date.now() + FEED_CACHE.MAX_AGE,
+        ics: icsContent,
+        etag,
+        lastModified
+      };
+      cacheFeed(cacheKey, entry);
+      logger.success('Calendar generated successfully');
+    }
     
     res.set({
       'Content-Type': 'text/calendar; charset=utf-8',
-      'Content-Disposition': 'attachment; filename="lucid-bookings.ics"',
-      'Cache-Control': 'no-cache, no-store, must-revalidate',
-      'Pragma': 'no-cache',
-      'Expires': '0'
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'private, no-cache',
+      'ETag': entry.etag,
+      ...(entry.lastModified && { 'Last-Modified': entry.lastModified.toUTCString() })
     });
     
-    logger.success('Calendar generated successfully');
-    res.send(icsContent);
+    // Checks If-None-Match, then If-Modified-Since, against the headers above
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    
+    res.send(entry.ics);
     
   } catch (error) {
+    // An empty feed would make subscribers drop every event, so fail loudly instead
     logger.error('Error generating calendar', error);
-    
-    // Still try to return a basic empty calendar instead of erroring
-    try {
-      logger.warn('Attempting to generate empty calendar as fallback');
-      const emptyCalendar = generateICS([]);
-      res.set({
-        'Content-Type': 'text/calendar; charset=utf-8',
-        'Content-Disposition': 'attachment; filename="lucid-bookings.ics"'
-      });
-      res.send(emptyCalendar);
-    } catch (fallbackError) {
-      logger.error('Even fallback calendar generation failed', fallbackError);
-      res.status(500).json({ error: 'Failed to generate calendar' });
-    }
+    res.status(500).json({ error: 'Failed to generate calendar' });
+  }
+}
+
+/**
+ * GET /calendar.ics: the default (first) account's feed
+ */
+function handleCalendarRequest(req, res) {
+  const account = getDefaultAccount();
+  return sendCalendar(req, res, { loadBookings: () => getBookingsData(account), accounts: [account] });
+}
+
+/**
+ * Feed definition for an account id, the team feed or a saved view, or null if unknown
+ */
+function getFeed(feedId) {
+  if (feedId === ACCOUNTS.TEAM_FEED_ID && isTeamFeedEnabled()) {
+    return {
+      loadBookings: getTeamBookingsData,
+      accounts: getAccounts(),
+      name: 'Lucid Private Offices Bookings (Team)',
+      filename: 'lucid-bookings-team.ics'
+    };
+  }
+
+  const account = getAccount(feedId);
+  if (!account) {
+    const view = getView(feedId);
+    return view && {
+      ...getFeed(view.feed),
+      filter: view.filter,
+      name: `Lucid Private Offices Bookings (${view.name})`,
+      filename: `lucid-bookings-${view.id}.ics`
+    };
   }
+
+  return {
+    loadBookings: () => getBookingsData(account),
+    accounts: [account],
+    name: `Lucid Private Offices Bookings (${account.name})`,
+    filename: `lucid-bookings-${account.id}.ics`
+  };
+}
+
+/**
+ * Serve a feed by id, 404 when it doesn't exist
+ */
+function sendFeed(req, res, feedId) {
+  const feed = getFeed(feedId);
+  if (!feed) {
+    logger.warn('Calendar requested for unknown feed', { feed: feedId });
+    return res.status(404).json({ error: `Unknown calendar: ${feedId}` });
+  }
+
+  return sendCalendar(req, res, feed);
+}
+
+/**
+ * GET /calendars/:account.ics: one account's feed, the combined team feed or a saved view
+ */
+function handleAccountCalendarRequest(req, res) {
+  return sendFeed(req, res, req.params.account);
 }
 
-module.exports = { handleCalendarRequest, generateICS, getBookingsData };
\ No newline at end of file
+module.exports = {
+  handleCalendarRequest,
+  handleAccountCalendarRequest,
+  getFeed,
+  sendFeed,
+  generateICS,
+  getBookingsData,
+  getTeamBookingsData
+};
\ No newline at end of file
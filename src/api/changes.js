@@ -0,0 +1,46 @@
+const { CHANGES } = require('../config/constants');
+const { createLogger } = require('../utils/logger');
+const { createChangeLog } = require('../storage/change-log');
+const { getAccount, getDefaultAccount } = require('../config/accounts');
+
+const logger = createLogger('CHANGES');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function handleChangesRequest(req, res) {
+  try {
+    const { since: sinceParam, type, account: accountId } = req.query;
+    const account = accountId ? getAccount(accountId) : getDefaultAccount();
+
+    if (!account) {
+      return res.status(404).json({ error: `Unknown account: ${accountId}` });
+    }
+
+    const since = sinceParam
+      ? new Date(sinceParam)
+      : new Date(Date.now() - CHANGES.DEFAULT_WINDOW_DAYS * DAY_MS);
+
+    if (Number.isNaN(since.getTime())) {
+      logger.warn('Invalid since parameter in changes request', { since: sinceParam });
+      return res.status(400).json({ error: 'Invalid "since" parameter, expected an ISO 8601 date' });
+    }
+
+    let changes = await createChangeLog(account.paths.changes).getSince(since);
+    if (type) {
+      changes = changes.filter(change => change.type === type);
+    }
+
+    res.json({
+      account: account.id,
+      since: since.toISOString(),
+      count: changes.length,
+      changes
+    });
+
+  } catch (error) {
+    logger.error('Error loading booking changes', error);
+    res.status(500).json({ error: 'Failed to load booking changes' });
+  }
+}
+
+module.exports = { handleChangesRequest };
@@ -0,0 +1,85 @@
+const { createLogger } = require('../utils/logger');
+const { createFeedTokenStore } = require('../storage/feed-tokens');
+const { getDefaultAccount } = require('../config/accounts');
+const { getFeedIds } = require('../config/feeds');
+const { sendFeed } = require('./calendar');
+
+const logger = createLogger('TOKENS');
+
+/**
+ * GET /calendar/:token.ics - served without Basic auth; the token only
+ * unlocks the one feed it was issued for
+ */
+async function handleTokenCalendarRequest(req, res) {
+  try {
+    const record = await createFeedTokenStore().verify(req.params.token);
+
+    if (!record) {
+      logger.warn('Calendar requested with unknown or revoked feed token');
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+
+    return sendFeed(req, res, record.feed);
+
+  } catch (error) {
+    logger.error('Error checking feed token', error);
+    res.status(500).json({ error: 'Failed to load calendar' });
+  }
+}
+
+async function handleListFeedTokens(req, res) {
+  try {
+    res.json({ tokens: await createFeedTokenStore().list() });
+  } catch (error) {
+    logger.error('Error listing feed tokens', error);
+    res.status(500).json({ error: 'Failed to list feed tokens' });
+  }
+}
+
+async function handleCreateFeedToken(req, res) {
+  try {
+    const { name, feed = getDefaultAccount().id } = req.body || {};
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'A "name" identifying the subscriber is required' });
+    }
+    if (!getFeedIds().includes(feed)) {
+      return res.status(400).json({ error: `Unknown feed: ${feed}`, feeds: getFeedIds() });
+    }
+
+    const { token, record } = await createFeedTokenStore().create({ name: name.trim(), feed });
+
+    res.status(201).json({
+      ...record,
+      token,
+      url: `/calendar/${token}.ics`
+    });
+
+  } catch (error) {
+    logger.error('Error creating feed token', error);
+    res.status(500).json({ error: 'Failed to create feed token' });
+  }
+}
+
+async function handleRevokeFeedToken(req, res) {
+  try {
+    const record = await createFeedTokenStore().revoke(req.params.id);
+
+    if (!record) {
+      return res.status(404).json({ error: 'Feed token not found' });
+    }
+
+    res.json(record);
+
+  } catch (error) {
+    logger.error('Error revoking feed token', error);
+    res.status(500).json({ error: 'Failed to revoke feed token' });
+  }
+}
+
+module.exports = {
+  handleTokenCalendarRequest,
+  handleListFeedTokens,
+  handleCreateFeedToken,
+  handleRevokeFeedToken
+};
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const { INBOUND_EMAIL } = require('../config/constants');
+const { createLogger } = require('../utils/logger');
+const { getAccounts, getAccount } = require('../config/accounts');
+const { isFromLucid, extractMagicLink, parseMagicLinkEmail } = require('../scraper/magic-link-mail');
+const { submitMagicLink } = require('../scraper/magic-link-intake');
+
+const logger = createLogger('INBOUND');
+
+// Field names used by common inbound-email services (generic, Postmark, Mailgun, SendGrid)
+const RAW_FIELDS = ['raw', 'email', 'mime', 'body-mime', 'RawEmail'];
+const FROM_FIELDS = ['FromFull', 'from', 'From', 'sender'];
+const TO_FIELDS = ['to', 'To', 'ToFull', 'cc', 'Cc', 'CcFull', 'recipient'];
+const TEXT_FIELDS = ['text', 'TextBody', 'body-plain', 'plain'];
+const HTML_FIELDS = ['html', 'HtmlBody', 'body-html'];
+
+/**
+ * Check the "sha256=<hex>" HMAC of the raw body against INBOUND_EMAIL_SECRET
+ */
+function isValidSignature(rawBody, header, secret) {
+  const signature = String(header || '').trim().replace(/^sha256=/i, '');
+  if (!/^[0-9a-f]{64}$/i.test(signature)) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  return crypto.timingSafeEqual(Buffer.from(signature, 'hex'), expected);
+}
+
+function pickField(payload, names) {
+  const name = names.find(candidate => payload[candidate] !== undefined && payload[candidate] !== '');
+  return name ? payload[name] : undefined;
+}
+
+/**
+ * Email addresses from a header string ("Lucid <a@b.com>, c@d.com"), an
+ * address object ({ address } / { Email } / { email }) or a list of either
+ */
+function toAddresses(value) {
+  if (!value) {
+    return [];
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap(toAddresses);
+  }
+  if (typeof value === 'object') {
+    return toAddresses(value.address || value.Email || value.email);
+  }
+
+  return String(value).split(',')
+    .map(part => (part.match(/<([^>]+)>/) || [null, part])[1].trim().toLowerCase())
+    .filter(address => address.includes('@'));
+}
+
+/**
+ * Normalize the request body into { from, to, link }: a raw MIME message, a
+ * JSON or form payload with the raw message in one field, or the parsed
+ * fields most inbound-email services post
+ */
+async function parseInboundEmail(rawBody, contentType) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+
+  let payload;
+  if (type === 'application/json') {
+    payload = JSON.parse(rawBody.toString('utf8'));
+  } else if (type === 'application/x-www-form-urlencoded') {
+    payload = Object.fromEntries(new URLSearchParams(rawBody.toString('utf8')));
+  } else {
+    return parseMagicLinkEmail(rawBody);
+  }
+
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new Error('Expected a JSON object');
+  }
+
+  const raw = pickField(payload, RAW_FIELDS);
+  if (typeof raw === 'string') {
+    return parseMagicLinkEmail(raw);
+  }
+
+  return {
+    from: toAddresses(pickField(payload, FROM_FIELDS))[0] || null,
+    to: TO_FIELDS.flatMap(field => toAddresses(payload[field])),
+    link: extractMagicLink({
+      text: pickField(payload, TEXT_FIELDS),
+      html: pickField(payload, HTML_FIELDS)
+    })
+  };
+}
+
+/**
+ * Account the email was sent to: the account whose email is a recipient, or
+ * the only account there is
+ */
+function findRecipientAccount(recipients) {
+  const accounts = getAccounts();
+  const addressed = accounts.find(account => account.email && recipients.includes(account.email.toLowerCase()));
+  return addressed || (accounts.length === 1 ? accounts[0] : null);
+}
+
+/**
+ * POST /inbound-email - takes Lucid's login email from a mail provider's
+ * webhook and hands its magic link to the waiting scraper, like POST /login.
+ * Authenticated by the signature header rather than Basic auth.
+ */
+async function handleInboundEmail(req, res) {
+  try {
+    const secret = process.env.INBOUND_EMAIL_SECRET;
+    if (!secret) {
+      return res.status(404).json({ error: 'Inbound email is not enabled (set INBOUND_EMAIL_SECRET)' });
+    }
+
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    if (!isValidSignature(rawBody, req.get(INBOUND_EMAIL.SIGNATURE_HEADER), secret)) {
+      logger.warn('Inbound email rejected: missing or invalid signature', { ip: req.ip });
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    let email;
+    try {
+      email = await parseInboundEmail(rawBody, req.get('content-type'));
+    } catch (error) {
+      logger.warn('Inbound email could not be parsed', { message: error.message });
+      return res.status(400).json({ error: 'Could not parse email payload' });
+    }
+
+    if (!isFromLucid(email.from)) {
+      logger.warn('Inbound email ignored: not sent by Lucid', { from: email.from });
+      return res.status(422).json({ error: 'Email was not sent by Lucid' });
+    }
+    if (!email.link) {
+      logger.warn('Inbound email from Lucid contained no magic link', { from: email.from });
+      return res.status(422).json({ error: 'No magic link on the Lucid domain found in email' });
+    }
+
+    // ?account= pins the account when forwarding hides the original recipient
+    const accountId = req.query.account;
+    const account = accountId ? getAccount(accountId) : findRecipientAccount(email.to);
+    if (!account) {
+      logger.warn('Inbound email does not match an account', { to: email.to, account: accountId });
+      return accountId
+        ? res.status(404).json({ error: `Unknown account: ${accountId}` })
+        : res.status(422).json({ error: 'No account matches the email recipients' });
+    }
+
+    // Same handoff as POST /login
+    const result = await submitMagicLink(account, email.link);
+    if (result.error) {
+      logger.warn('Rejected magic link from inbound email', { account: account.id, reason: result.code });
+      return res.status(result.code === 'used' ? 409 : 422).json({ error: result.error });
+    }
+
+    logger.success('Magic link received by inbound email', { account: account.id, pending: result.pending });
+    res.json({ success: true, account: account.id, pending: result.pending, expiresAt: result.expiresAt });
+
+  } catch (error) {
+    logger.error('Error handling inbound email', error);
+    res.status(500).json({ error: 'Failed to handle inbound email' });
+  }
+}
+
+module.exports = {
+  handleInboundEmail
+};
@@ -0,0 +1,187 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { TIMEOUTS, LOGIN_INTAKE } = require('../config/constants');
+const { createLogger } = require('../utils/logger');
+const { getAccounts, getAccount, getDefaultAccount } = require('../config/accounts');
+const { submitMagicLink, getPendingSince } = require('../scraper/magic-link-intake');
+const { getAuthState, onAuthStateChange } = require('../scraper/auth-state');
+const { issueCsrfToken, verifyCsrfToken, readCookie } = require('../utils/csrf');
+const { createRateLimiter } = require('../utils/rate-limit');
+
+const logger = createLogger('LOGIN');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Account picker for the login form, only shown when there is more than one account
+ */
+function renderAccountField(selectedId) {
+  const accounts = getAccounts();
+  if (accounts.length < 2) {
+    return '';
+  }
+
+  const options = accounts.map(account => {
+    const selected = account.id === selectedId ? ' selected' : '';
+    return `<option value="${escapeHtml(account.id)}"${selected}>${escapeHtml(account.name)}</option>`;
+  });
+
+  return `<label for="account">Account:</label>
+            <select id="account" name="account">${options.join('')}</select>`;
+}
+
+/**
+ * GET /login - form for pasting magic link URLs, with a fresh CSRF token
+ */
+async function handleLoginForm(req, res) {
+  try {
+    const loginFormPath = path.join(__dirname, '../templates/login-form.html');
+    const htmlContent = await fs.readFile(loginFormPath, 'utf-8');
+    const { nonce, token } = issueCsrfToken();
+
+    res.cookie(LOGIN_INTAKE.CSRF_COOKIE, nonce, {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: req.secure,
+      path: '/login',
+      maxAge: LOGIN_INTAKE.CSRF_MAX_AGE
+    });
+    res.set('Cache-Control', 'no-store');
+    res.send(htmlContent
+      .replace('<!-- ACCOUNT_FIELD -->', renderAccountField(req.query.account))
+      .replace('<!-- CSRF_FIELD -->', `<input type="hidden" id="csrfToken" name="csrfToken" value="${escapeHtml(token)}">`));
+  } catch (error) {
+    logger.error('Error loading login form template', error);
+    res.status(500).send('Error loading login form');
+  }
+}
+
+const loginRateLimiter = createRateLimiter({
+  windowMs: LOGIN_INTAKE.RATE_LIMIT_WINDOW,
+  max: LOGIN_INTAKE.RATE_LIMIT_MAX,
+  message: 'Too many login URL submissions'
+});
+
+/**
+ * POST /login - hand a pasted magic link to the account's scraper
+ */
+async function handleLoginSubmit(req, res) {
+  try {
+    const { loginUrl, account: accountId, csrfToken } = req.body || {};
+
+    if (!verifyCsrfToken(readCookie(req, LOGIN_INTAKE.CSRF_COOKIE), csrfToken || req.get('x-csrf-token'))) {
+      logger.warn('Login URL submission with missing or invalid CSRF token', { ip: req.ip });
+      return res.status(403).json({ error: 'This form has expired. Reload the page and paste the link again.' });
+    }
+
+    const account = accountId ? getAccount(accountId) : getDefaultAccount();
+    if (!account) {
+      logger.warn('Login URL submitted for unknown account', { account: accountId });
+      return res.status(400).json({ error: `Unknown account: ${accountId}` });
+    }
+
+    const result = await submitMagicLink(account, loginUrl);
+    if (result.error) {
+      logger.warn('Rejected login URL', { account: account.id, reason: result.code });
+      return res.status(result.code === 'used' ? 409 : 400).json({ error: result.error });
+    }
+
+    logger.success('Login URL received and saved', { account: account.id, pending: result.pending });
+
+    res.json({
+      success: true,
+      pending: result.pending,
+      expiresAt: result.expiresAt,
+      message: result.pending
+        ? 'Login URL saved successfully. The scraper will use this to authenticate.'
+        : `No login is waiting for a link right now. The link is kept for ${Math.round(LOGIN_INTAKE.HOLD_TIME / 60000)} minutes in case one starts, then discarded.`
+    });
+
+  } catch (error) {
+    logger.error('Error saving login URL', error);
+    res.status(500).json({ error: 'Failed to save login URL' });
+  }
+}
+
+/**
+ * Authentication state for the login page. A scraper in another process only
+ * shows up through its pending marker, as "awaiting-link".
+ */
+async function describeLoginState(account) {
+  const state = getAuthState(account.id);
+  if (state.state !== 'email-submitted' && state.state !== 'awaiting-link' && state.state !== 'verifying') {
+    const pendingSince = await getPendingSince(account.paths.loginUrl);
+    if (pendingSince) {
+      return {
+        account: account.id,
+        state: 'awaiting-link',
+        since: pendingSince.toISOString(),
+        deadline: new Date(pendingSince.getTime() + TIMEOUTS.MAGIC_LINK_WAIT).toISOString(),
+        error: null,
+        separateProcess: true
+      };
+    }
+  }
+  return state;
+}
+
+/**
+ * GET /login/events - Server-Sent Events stream of an account's
+ * authentication state (`?account=`, default the first account)
+ */
+async function handleLoginEvents(req, res) {
+  const account = req.query.account ? getAccount(req.query.account) : getDefaultAccount();
+  if (!account) {
+    return res.status(404).json({ error: `Unknown account: ${req.query.account}` });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-store',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  let lastSent = null;
+  const send = async () => {
+    try {
+      const state = await describeLoginState(account);
+      const key = JSON.stringify(state);
+      if (key !== lastSent && !res.writableEnded) {
+        lastSent = key;
+        // `now` lets the page correct its countdown for clock differences
+        res.write(`event: state\ndata: ${JSON.stringify({ ...state, now: new Date().toISOString() })}\n\n`);
+      }
+    } catch (error) {
+      logger.warn('Could not send login state', { message: error.message });
+    }
+  };
+
+  const unsubscribe = onAuthStateChange(record => {
+    if (record.account === account.id) {
+      send();
+    }
+  });
+  const heartbeat = setInterval(() => {
+    res.write(': keep-alive\n\n');
+    send();
+  }, LOGIN_INTAKE.EVENTS_HEARTBEAT);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  send();
+}
+
+module.exports = {
+  handleLoginForm,
+  handleLoginSubmit,
+  handleLoginEvents,
+  loginRateLimiter
+};
@@ -0,0 +1,51 @@
+const { scrapeJobs } = require('../scraper/scrape-jobs');
+const { getAccount } = require('../config/accounts');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('SCRAPE-API');
+
+function serializeJob(job) {
+  return {
+    ...job,
+    durationMs: job.durationMs ?? Date.now() - new Date(job.startedAt).getTime()
+  };
+}
+
+function handleStartScrape(req, res) {
+  try {
+    // Optional `account` limits the job to one account instead of all of them
+    const accountId = req.body?.account || req.query.account;
+    const account = accountId ? getAccount(accountId) : null;
+    if (accountId && !account) {
+      return res.status(404).json({ error: `Unknown account: ${accountId}` });
+    }
+
+    const { job, joined } = scrapeJobs.start({ trigger: 'api', ...(account && { accounts: [account] }) });
+    logger.info(joined ? 'Scrape request joined running job' : 'Scrape requested', { jobId: job.id });
+
+    res.status(202)
+      .location(`/scrape/${job.id}`)
+      .json({
+        jobId: job.id,
+        joined,
+        status: `/scrape/${job.id}`,
+        job: serializeJob(job)
+      });
+
+  } catch (error) {
+    logger.error('Error starting scrape job', error);
+    res.status(500).json({ error: 'Failed to start scrape' });
+  }
+}
+
+function handleScrapeStatus(req, res) {
+  const job = scrapeJobs.get(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Scrape job not found' });
+  }
+
+  res.json(serializeJob(job));
+}
+
+module.exports = { handleStartScrape, handleScrapeStatus };
@@ -0,0 +1,97 @@
+const { ACCOUNTS, RUN_HISTORY } = require('../config/constants');
+const { getAccounts } = require('../config/accounts');
+const { createLogger } = require('../utils/logger');
+const { createBookingStore } = require('../storage/booking-store');
+const { createRunHistory } = require('../storage/run-history');
+const { readCookieJar, summarizeCookies, getSessionMode } = require('../scraper/session-store');
+const { scrapeJobs } = require('../scraper/scrape-jobs');
+
+const logger = createLogger('STATUS');
+
+const AUTH_FAILURES = ['authentication', 'magic-link-timeout'];
+
+/**
+ * Best guess at whether the saved session still works: the cookies exist and
+ * haven't expired, and the last run that had to authenticate didn't fail at it.
+ * Null when no run has told us yet.
+ */
+function isSessionBelievedValid(cookieSummary, runs) {
+  if (!cookieSummary.hasCookies || cookieSummary.expired) {
+    return false;
+  }
+
+  const lastAuthRun = runs.find(run => run.authentication || AUTH_FAILURES.includes(run.failureCategory));
+  if (!lastAuthRun) {
+    return null;
+  }
+
+  return !AUTH_FAILURES.includes(lastAuthRun.failureCategory);
+}
+
+async function getCookieSummary(account) {
+  try {
+    const jar = await readCookieJar(account.paths.cookies);
+    return { ...summarizeCookies(jar.cookies), encrypted: jar.encrypted };
+  } catch (error) {
+    logger.warn('Could not read saved session', error);
+    return { ...summarizeCookies(null), encrypted: null };
+  }
+}
+
+/**
+ * Data age and session health of one account. `runs` is newest first.
+ */
+async function getAccountStatus(account, runs) {
+  const [storeData, cookieSummary] = await Promise.all([
+    createBookingStore(account.paths.bookings).load(),
+    getCookieSummary(account)
+  ]);
+
+  // Runs recorded before multi-account support belong to the default account
+  const accountRuns = runs.filter(run => (run.account || ACCOUNTS.DEFAULT_ID) === account.id);
+  const lastUpdated = storeData.lastUpdated;
+  const lastSessionReport = accountRuns.find(run => run.session);
+
+  return {
+    id: account.id,
+    name: account.name,
+    data: {
+      lastUpdated,
+      ageSeconds: lastUpdated ? Math.round((Date.now() - new Date(lastUpdated).getTime()) / 1000) : null,
+      bookingCount: storeData.bookings.length
+    },
+    session: {
+      ...cookieSummary,
+      believedValid: isSessionBelievedValid(cookieSummary, accountRuns),
+      mode: getSessionMode(),
+      // Where the last authenticated run found the login (see detectSessionCarriers)
+      carriers: lastSessionReport ? lastSessionReport.session.carriers : null
+    },
+    lastSuccessfulRun: accountRuns.find(run => run.outcome === 'success') || null
+  };
+}
+
+async function handleStatusRequest(req, res) {
+  try {
+    const runs = (await createRunHistory().load()).reverse();
+    const accounts = await Promise.all(getAccounts().map(account => getAccountStatus(account, runs)));
+
+    const lastSuccess = runs.find(run => run.outcome === 'success') || null;
+    const scheduler = req.app.locals.scheduler;
+
+    res.json({
+      status: 'running',
+      accounts,
+      scheduler: scheduler ? scheduler.getState() : null,
+      currentJob: scrapeJobs.current ? scrapeJobs.current.job : null,
+      lastSuccessfulRun: lastSuccess,
+      recentRuns: runs.slice(0, RUN_HISTORY.STATUS_LIMIT)
+    });
+
+  } catch (error) {
+    logger.error('Error building status report', error);
+    res.status(500).json({ error: 'Failed to build status report' });
+  }
+}
+
+module.exports = { handleStatusRequest };
@@ -0,0 +1,108 @@
+// Lucid accounts to scrape. Each account gets its own cookie jar, magic-link
+// handoff file, booking store and change log.
+
+const path = require('path');
+const { PATHS, ACCOUNTS } = require('./constants');
+const { loadAppConfig } = require('./app-config');
+const { createLogger } = require('../utils/logger');
+const { memoizeLatest } = require('../utils/memoize');
+
+const logger = createLogger('CONFIG');
+
+const rootPath = (relativePath) => path.join(__dirname, '../../', relativePath);
+
+/**
+ * The single account used when config.json lists none. Keeps the file
+ * locations from before multi-account support so existing sessions and data carry over.
+ */
+function getLegacyAccount() {
+  return {
+    id: ACCOUNTS.DEFAULT_ID,
+    name: 'Default',
+    email: process.env.LUCID_EMAIL,
+    imap: null,
+    paths: {
+      cookies: rootPath(PATHS.COOKIES_FILE),
+      loginUrl: rootPath(PATHS.LOGIN_URL_FILE),
+      bookings: rootPath(PATHS.BOOKINGS_DATA),
+      changes: rootPath(PATHS.CHANGES_DATA),
+      webStorage: rootPath(PATHS.WEB_STORAGE_FILE),
+      profile: rootPath(PATHS.CHROME_PROFILE_DIR)
+    }
+  };
+}
+
+function buildAccount({ id, name, email, imap }) {
+  const accountDir = rootPath(path.join(PATHS.ACCOUNTS_DIR, id));
+  return {
+    id,
+    name: name || id,
+    email,
+    imap: imap && typeof imap === 'object' ? imap : null,
+    paths: {
+      cookies: path.join(accountDir, 'cookies.json'),
+      loginUrl: path.join(accountDir, 'login_url.txt'),
+      bookings: path.join(accountDir, 'bookings.json'),
+      changes: path.join(accountDir, 'changes.json'),
+      webStorage: path.join(accountDir, 'web-storage.json'),
+      profile: path.join(accountDir, 'chrome-profile')
+    }
+  };
+}
+
+function resolveAccounts(configured) {
+  if (!Array.isArray(configured) || configured.length === 0) {
+    return [getLegacyAccount()];
+  }
+
+  const accounts = [];
+  configured.forEach((entry, index) => {
+    const id = String(entry?.id || '');
+    if (!ACCOUNTS.ID_PATTERN.test(id) || id === ACCOUNTS.TEAM_FEED_ID) {
+      logger.error(`Ignoring account ${index}: invalid id "${id}"`);
+      return;
+    }
+    if (accounts.some(account => account.id === id)) {
+      logger.error(`Ignoring account ${index}: duplicate id "${id}"`);
+      return;
+    }
+    if (!entry.email) {
+      logger.warn(`Account "${id}" has no email, it can only reuse an existing session`);
+    }
+    accounts.push(buildAccount(entry));
+  });
+
+  return accounts.length > 0 ? accounts : [getLegacyAccount()];
+}
+
+const resolveCachedAccounts = memoizeLatest(config => resolveAccounts(config.accounts));
+
+/**
+ * Accounts from config.json, in the order they are scraped. Invalid or
+ * duplicate entries are logged and skipped.
+ */
+function getAccounts() {
+  return resolveCachedAccounts(loadAppConfig());
+}
+
+function getAccount(id) {
+  return getAccounts().find(account => account.id === id) || null;
+}
+
+/**
+ * The account served by the unscoped endpoints (/calendar.ics, /changes, /login)
+ */
+function getDefaultAccount() {
+  return getAccounts()[0];
+}
+
+function isTeamFeedEnabled() {
+  return loadAppConfig().teamFeed === true;
+}
+
+module.exports = {
+  getAccounts,
+  getAccount,
+  getDefaultAccount,
+  isTeamFeedEnabled
+};
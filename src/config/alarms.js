@@ -0,0 +1,100 @@
+// Event reminders (VALARM): a default lead time from ALARM_MINUTES or
+// config.json "alarms.default", per-room overrides in "alarms.rooms", and a
+// per-subscriber ?alarm= query parameter that beats both
+
+const { ALARMS } = require('./constants');
+const { loadAppConfig } = require('./app-config');
+const { getCanonicalRoomName } = require('./rooms');
+const { createLogger } = require('../utils/logger');
+const { memoizeLatest } = require('../utils/memoize');
+
+const logger = createLogger('CONFIG');
+
+function normalizeRoom(room) {
+  return String(getCanonicalRoomName(room) ?? '').trim().toLowerCase();
+}
+
+function isValidMinutes(value) {
+  return Number.isInteger(value) && value >= ALARMS.MIN_MINUTES && value <= ALARMS.MAX_MINUTES;
+}
+
+/**
+ * Read a configured lead time: minutes, or null/false for "no reminder".
+ * Returns undefined (and logs) when the value is invalid.
+ */
+function readMinutes(value, label) {
+  if (value === null || value === false) {
+    return null;
+  }
+  const minutes = typeof value === 'string' ? Number(value) : value;
+  if (!isValidMinutes(minutes)) {
+    logger.error(`Ignoring ${label} "${value}": expected whole minutes between ${ALARMS.MIN_MINUTES} and ${ALARMS.MAX_MINUTES}`);
+    return undefined;
+  }
+  return minutes;
+}
+
+function resolveSettings(config) {
+  const alarms = config.alarms || {};
+
+  let defaultMinutes = null;
+  if (alarms.default !== undefined) {
+    defaultMinutes = readMinutes(alarms.default, 'alarms.default') ?? null;
+  } else if (process.env.ALARM_MINUTES) {
+    defaultMinutes = readMinutes(process.env.ALARM_MINUTES, 'ALARM_MINUTES') ?? null;
+  }
+
+  const rooms = new Map();
+  Object.entries(alarms.rooms || {}).forEach(([room, value]) => {
+    const minutes = readMinutes(value, `alarms.rooms["${room}"]`);
+    if (minutes !== undefined) {
+      rooms.set(normalizeRoom(room), minutes);
+    }
+  });
+
+  return { defaultMinutes, rooms };
+}
+
+const resolveCachedSettings = memoizeLatest(resolveSettings);
+
+function getAlarmSettings() {
+  return resolveCachedSettings(loadAppConfig());
+}
+
+/**
+ * Parse the ?alarm= query parameter: minutes, or "off" to drop reminders
+ *
+ * @returns {{minutes: (number|null|undefined), error: (string|null)}}
+ */
+function parseAlarmParam(value) {
+  if (value === undefined || value === '') {
+    return { minutes: undefined, error: null };
+  }
+  if (String(value).toLowerCase() === 'off') {
+    return { minutes: null, error: null };
+  }
+  const minutes = Number(value);
+  if (!isValidMinutes(minutes)) {
+    return { minutes: undefined, error: `"alarm" must be "off" or whole minutes between ${ALARMS.MIN_MINUTES} and ${ALARMS.MAX_MINUTES}` };
+  }
+  return { minutes, error: null };
+}
+
+/**
+ * Minutes before the start of a booking in `room` to remind, or null for no
+ * reminder. `override` (from ?alarm=) wins when it isn't undefined.
+ */
+function getAlarmMinutes(room, override) {
+  if (override !== undefined) {
+    return override;
+  }
+
+  const { defaultMinutes, rooms } = getAlarmSettings();
+  const roomMinutes = rooms.get(normalizeRoom(room));
+  return roomMinutes !== undefined ? roomMinutes : defaultMinutes;
+}
+
+module.exports = {
+  parseAlarmParam,
+  getAlarmMinutes
+};
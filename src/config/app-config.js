@@ -0,0 +1,45 @@
+// Optional JSON configuration file for settings that don't fit in environment variables
+
+const fs = require('fs-extra');
+const path = require('path');
+const { PATHS } = require('./constants');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('CONFIG');
+
+let cachedConfig = null;
+
+function getConfigPath() {
+  return process.env.APP_CONFIG
+    ? path.resolve(process.env.APP_CONFIG)
+    : path.join(__dirname, '../../', PATHS.APP_CONFIG);
+}
+
+/**
+ * Load the config file once. A missing file means "no extra configuration";
+ * a malformed one is reported and ignored.
+ */
+function loadAppConfig() {
+  if (cachedConfig) {
+    return cachedConfig;
+  }
+
+  const configPath = getConfigPath();
+  cachedConfig = {};
+
+  try {
+    if (fs.pathExistsSync(configPath)) {
+      cachedConfig = fs.readJsonSync(configPath);
+      logger.info('Loaded configuration file', { path: configPath });
+    }
+  } catch (error) {
+    logger.error(`Could not read configuration file ${configPath}`, error);
+  }
+
+  return cachedConfig;
+}
+
+module.exports = {
+  loadAppConfig,
+  getConfigPath
+};
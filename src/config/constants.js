@@ -29,6 +29,15 @@ module.exports = {
     COOKIES_FILE: 'cookies.json',
     LOGIN_URL_FILE: 'login_url.txt',
     BOOKINGS_DATA: 'data/bookings.json',
+    CHANGES_DATA: 'data/changes.json',
+    SCRAPE_LOCK: 'data/scrape.lock',
+    RUN_HISTORY: 'data/runs.json',
+    ACCOUNTS_DIR: 'data/accounts',
+    APP_CONFIG: 'config.json',
+    FEED_TOKENS: 'data/feed-tokens.json',
+    USED_MAGIC_LINKS: 'data/used-magic-links.json',
+    WEB_STORAGE_FILE: 'data/web-storage.json',
+    CHROME_PROFILE_DIR: 'data/chrome-profile',
     CHROME_EXECUTABLE_MAC: '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
     CHROME_EXECUTABLE_LINUX: '/usr/bin/google-chrome-stable'
   },
@@ -64,6 +73,24 @@ module.exports = {
     '#reservations'
   ],
 
+  // CSS selectors for individual booking cards (DOM parser)
+  BOOKING_CARD_SELECTORS: [
+    '[class*="booking-card"]',
+    '[class*="booking-item"]',
+    '[class*="BookingCard"]',
+    '[class*="booking"]',
+    '[class*="reservation"]',
+    'li',
+    'article',
+    'tr'
+  ],
+
+  // Booking parser modes
+  PARSER: {
+    MODES: ['dom', 'llm', 'dom-then-llm'],
+    DEFAULT_MODE: 'dom-then-llm'
+  },
+
   // Main content selectors (fallback)
   MAIN_CONTENT_SELECTORS: [
     'main', 
@@ -91,7 +118,149 @@ module.exports = {
   LLM: {
     MAX_TOKENS: 4000,
     TEMPERATURE: 0.1,
-    DEFAULT_MODEL: 'openai/gpt-4o-mini'
+    DEFAULT_PROVIDER: 'openrouter',
+    MAX_RETRIES: 2, // Corrective follow-up prompts after an invalid response
+    APP_URL: 'https://github.com/cmer/lucid-to-ics',
+    ANTHROPIC_VERSION: '2023-06-01',
+    PROVIDERS: {
+      openrouter: {
+        BASE_URL: 'https://openrouter.ai/api/v1',
+        MODEL: 'openai/gpt-4o-mini',
+        TIMEOUT: 60000,
+        STRUCTURED_OUTPUT: 'json_schema'
+      },
+      openai: {
+        BASE_URL: 'http://localhost:11434/v1', // Ollama's OpenAI-compatible endpoint
+        MODEL: 'llama3.1',
+        TIMEOUT: 300000, // Local models can be slow on large pages
+        STRUCTURED_OUTPUT: 'json_object'
+      },
+      anthropic: {
+        BASE_URL: 'https://api.anthropic.com',
+        MODEL: 'claude-3-5-haiku-latest',
+        TIMEOUT: 60000,
+        STRUCTURED_OUTPUT: 'prefill' // No JSON mode; start the assistant turn with "{" instead
+      }
+    }
+  },
+
+  // Booking history
+  HISTORY: {
+    RETENTION_DAYS: null // Keep past bookings forever unless BOOKING_RETENTION_DAYS is set
+  },
+
+  // Change detection between scrapes
+  CHANGES: {
+    MAX_RECORDS: 5000,
+    DEFAULT_WINDOW_DAYS: 7 // /changes without ?since= covers the last week
+  },
+
+  // Calendar feed configuration
+  CALENDAR: {
+    DEFAULT_TIMEZONE: 'America/New_York',
+    CANCELLATION_GRACE_DAYS: 14, // Cancelled bookings stay in the feed as STATUS:CANCELLED this long
+    CANCELLED_PREFIX: '❌ Cancelled: '
+  },
+
+  // In-process scrape scheduling
+  SCHEDULER: {
+    DEFAULT_INTERVAL_MINUTES: 240,
+    DEFAULT_JITTER_MINUTES: 5,
+    BACKOFF_BASE_MINUTES: 5, // First retry after a failure; doubles on each further failure
+    BACKOFF_MAX_MINUTES: 240,
+    INITIAL_DELAY: 5000, // First scrape after server start
+    LOCK_STALE_AFTER: 3600000 // 1 hour; longer than any scrape including the magic link wait
+  },
+
+  // Scraper run history
+  RUN_HISTORY: {
+    MAX_RUNS: 200,
+    STATUS_LIMIT: 10 // Runs shown by /status
+  },
+
+  // On-demand scrape jobs
+  SCRAPE_JOBS: {
+    MAX_TRACKED: 50
+  },
+
+  // Lucid accounts (see config.json "accounts")
+  ACCOUNTS: {
+    DEFAULT_ID: 'default',
+    TEAM_FEED_ID: 'team',
+    ID_PATTERN: /^[a-z0-9][a-z0-9_-]*$/i
+  },
+
+  // Event reminders
+  ALARMS: {
+    MIN_MINUTES: 1, // ical-generator can't write a zero-minute trigger
+    MAX_MINUTES: 10080 // one week
+  },
+
+  // Finding magic links in Lucid's login emails
+  MAGIC_LINK: {
+    DOMAIN: 'lucidprivateoffices.com',
+    SENDER_DOMAINS: ['lucidprivateoffices.com'],
+    // Paths that look like a login link rather than a logo or footer link
+    LINK_PATTERN: /auth|login|magic|token|verify|sign/i
+  },
+
+  // Saved Lucid session: encrypted cookie jar (SESSION_KEY / SESSION_KEY_FILE)
+  // and what else is persisted between runs (SESSION_MODE)
+  SESSION: {
+    CIPHER: 'aes-256-gcm',
+    KEY_BYTES: 32,
+    IV_BYTES: 12,
+    FORMAT_VERSION: 1,
+    // cookies: cookie jar only; storage: plus localStorage/sessionStorage; profile: persistent Chrome profile
+    MODES: ['cookies', 'storage', 'profile'],
+    DEFAULT_MODE: 'cookies',
+    // Cookie, storage key and IndexedDB names that look like they hold a login
+    AUTH_KEY_PATTERN: /auth|token|session|jwt|sid|login|firebase/i
+  },
+
+  // Magic links handed to the scraper through /login or /inbound-email
+  LOGIN_INTAKE: {
+    HOLD_TIME: 120000, // how long a link submitted while no login is pending stays usable
+    MAX_USED_LINKS: 200,
+    RATE_LIMIT_WINDOW: 900000, // 15 minutes
+    RATE_LIMIT_MAX: 10, // POST /login submissions per client per window
+    CSRF_COOKIE: 'lucid_login_csrf',
+    CSRF_MAX_AGE: 3600000, // 1 hour
+    EVENTS_HEARTBEAT: 15000 // /login/events keep-alive, also when a scraper in another process is rechecked
+  },
+
+  // Optional IMAP mailbox watched for magic links
+  IMAP: {
+    DEFAULT_PORT: 993,
+    DEFAULT_MAILBOX: 'INBOX',
+    POLL_INTERVAL: 10000,
+    CLOCK_SKEW: 60000 // accept emails received this long before the login form was submitted
+  },
+
+  // POST /inbound-email, for mail providers that forward messages over HTTP
+  INBOUND_EMAIL: {
+    SIGNATURE_HEADER: 'x-inbound-signature', // "sha256=" + hex HMAC-SHA256 of the raw body
+    MAX_BODY_SIZE: '10mb'
+  },
+
+  // In-memory cache of generated feeds
+  FEED_CACHE: {
+    MAX_ENTRIES: 100,
+    // Regenerate at least this often so ended bookings and expired cancellations drop out
+    MAX_AGE: 300000 // 5 minutes
+  },
+
+  // JSON/CSV booking export
+  EXPORT: {
+    DEFAULT_PAGE_SIZE: 100,
+    MAX_PAGE_SIZE: 1000,
+    SUMMARY_PERIODS: ['week', 'month']
+  },
+
+  // Secret calendar feed URLs
+  FEED_TOKENS: {
+    TOKEN_BYTES: 32,
+    LAST_USED_RESOLUTION: 60000 // only persist lastUsedAt once a minute
   },
 
   // Server configuration
@@ -0,0 +1,73 @@
+// Calendar feeds: one per account, the optional team feed, and saved views
+// (named filters over one of those) defined in config.json "views"
+
+const { ACCOUNTS } = require('./constants');
+const { loadAppConfig } = require('./app-config');
+const { getAccounts, getDefaultAccount, isTeamFeedEnabled } = require('./accounts');
+const { parseBookingFilter } = require('../utils/booking-filter');
+const { createLogger } = require('../utils/logger');
+const { memoizeLatest } = require('../utils/memoize');
+
+const logger = createLogger('CONFIG');
+
+/**
+ * Ids of the account and team feeds, which saved views are built on
+ */
+function getSourceFeedIds() {
+  const ids = getAccounts().map(account => account.id);
+  return isTeamFeedEnabled() ? [...ids, ACCOUNTS.TEAM_FEED_ID] : ids;
+}
+
+function resolveViews(configured) {
+  const views = [];
+  const sourceIds = getSourceFeedIds();
+
+  Object.entries(configured || {}).forEach(([id, definition]) => {
+    if (!ACCOUNTS.ID_PATTERN.test(id) || sourceIds.includes(id)) {
+      logger.error(`Ignoring view "${id}": invalid id or already used by an account feed`);
+      return;
+    }
+
+    const { name, feed = getDefaultAccount().id, ...params } = definition || {};
+    if (!sourceIds.includes(feed)) {
+      logger.error(`Ignoring view "${id}": unknown feed "${feed}"`);
+      return;
+    }
+
+    const { filter, errors } = parseBookingFilter(params);
+    if (errors.length > 0) {
+      logger.error(`Ignoring view "${id}": ${errors.join('; ')}`);
+      return;
+    }
+
+    views.push({ id, name: name || id, feed, filter });
+  });
+
+  return views;
+}
+
+const resolveCachedViews = memoizeLatest(config => resolveViews(config.views));
+
+/**
+ * Saved views from config.json. Invalid views are logged and skipped.
+ */
+function getViews() {
+  return resolveCachedViews(loadAppConfig());
+}
+
+function getView(id) {
+  return getViews().find(view => view.id === id) || null;
+}
+
+/**
+ * Ids of every calendar feed that can be served: accounts, team feed and saved views
+ */
+function getFeedIds() {
+  return [...getSourceFeedIds(), ...getViews().map(view => view.id)];
+}
+
+module.exports = {
+  getViews,
+  getView,
+  getFeedIds
+};
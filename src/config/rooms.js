@@ -0,0 +1,104 @@
+// Room registry from config.json "rooms": canonical room names, their aliases
+// (the variants Lucid's page or the LLM produce) and metadata for calendar events
+
+const { loadAppConfig } = require('./app-config');
+const { createLogger } = require('../utils/logger');
+const { memoizeLatest } = require('../utils/memoize');
+
+const logger = createLogger('CONFIG');
+
+/**
+ * Match key for room names: "Board Room", "board-room" and "BOARDROOM" are the same room
+ */
+function roomKey(name) {
+  return String(name ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function readGeo(name, geo) {
+  if (geo === undefined) {
+    return null;
+  }
+  const lat = Number(geo?.lat);
+  const lon = Number(geo?.lon);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    logger.error(`Ignoring geo of room "${name}": expected { "lat": <-90..90>, "lon": <-180..180> }`);
+    return null;
+  }
+  return { lat, lon };
+}
+
+function resolveRegistry(configured) {
+  const rooms = [];
+  const byKey = new Map();
+
+  Object.entries(configured || {}).forEach(([name, entry]) => {
+    const definition = entry || {};
+    const room = {
+      name,
+      aliases: Array.isArray(definition.aliases) ? definition.aliases.map(String) : [],
+      address: definition.address || null,
+      floor: definition.floor || null,
+      geo: readGeo(name, definition.geo),
+      capacity: Number.isInteger(definition.capacity) ? definition.capacity : null,
+      amenities: Array.isArray(definition.amenities) ? definition.amenities.map(String) : [],
+      category: definition.category || null
+    };
+
+    for (const alias of [name, ...room.aliases]) {
+      const key = roomKey(alias);
+      if (!key) {
+        continue;
+      }
+      if (byKey.has(key) && byKey.get(key) !== room) {
+        logger.error(`Room alias "${alias}" is already used by "${byKey.get(key).name}", ignoring it for "${name}"`);
+        continue;
+      }
+      byKey.set(key, room);
+    }
+    rooms.push(room);
+  });
+
+  return { rooms, byKey };
+}
+
+const resolveCachedRegistry = memoizeLatest(config => resolveRegistry(config.rooms));
+
+function getRoomRegistry() {
+  return resolveCachedRegistry(loadAppConfig());
+}
+
+/**
+ * Registry entry for a room name or any of its aliases, or null
+ */
+function findRoom(name) {
+  return getRoomRegistry().byKey.get(roomKey(name)) || null;
+}
+
+/**
+ * The registry's name for a room, or the name as given when it isn't registered
+ */
+function getCanonicalRoomName(name) {
+  const room = findRoom(name);
+  return room ? room.name : name;
+}
+
+/**
+ * Rewrite the room of each booking to its canonical name, keeping the name
+ * as scraped in `scrapedRoom` (booking identity is built from it)
+ */
+function normalizeBookingRooms(bookings) {
+  return bookings.map(booking => {
+    const room = getCanonicalRoomName(booking.room);
+    if (room !== booking.room) {
+      logger.debug('Normalized room name', { from: booking.room, to: room });
+    }
+    return { ...booking, room, scrapedRoom: booking.room };
+  });
+}
+
+module.exports = {
+  roomKey,
+  findRoom,
+  getCanonicalRoomName,
+  normalizeBookingRooms
+};
@@ -0,0 +1,115 @@
+// Authentication state of each account's scraper, published for the /login
+// page, and the in-process handoff of magic links to a waiting scraper.
+// When the scraper runs in another process the server can't see any of this,
+// so the login URL file and its pending marker remain the fallback.
+
+const { EventEmitter } = require('events');
+
+const AUTH_STATES = ['idle', 'email-submitted', 'awaiting-link', 'verifying', 'succeeded', 'failed'];
+
+const events = new EventEmitter();
+events.setMaxListeners(0); // one listener per open /login page
+
+const states = new Map();
+const waiters = new Map();
+const heldLinks = new Map();
+let inProcessHandoff = false;
+
+/**
+ * Publish an account's authentication state. `deadline` is when the
+ * magic-link wait times out.
+ */
+function setAuthState(accountId, state, { deadline = null, error = null } = {}) {
+  if (!AUTH_STATES.includes(state)) {
+    throw new Error(`Unknown authentication state: ${state}`);
+  }
+
+  const record = {
+    account: accountId,
+    state,
+    since: new Date().toISOString(),
+    deadline: deadline ? new Date(deadline).toISOString() : null,
+    error
+  };
+  states.set(accountId, record);
+  events.emit('change', record);
+  return record;
+}
+
+function getAuthState(accountId) {
+  return states.get(accountId) || { account: accountId, state: 'idle', since: null, deadline: null, error: null };
+}
+
+/**
+ * Call `listener` with every published state; returns the unsubscribe function
+ */
+function onAuthStateChange(listener) {
+  events.on('change', listener);
+  return () => events.off('change', listener);
+}
+
+/**
+ * Called by the server: scrapers in this process can now receive links
+ * directly instead of polling the login URL file
+ */
+function enableInProcessHandoff() {
+  inProcessHandoff = true;
+}
+
+function isInProcessHandoffEnabled() {
+  return inProcessHandoff;
+}
+
+/**
+ * Register the scraper waiting for an account's magic link. A link held for
+ * the account is delivered right away. Returns the unregister function.
+ */
+function awaitHandoff(accountId, receive) {
+  waiters.set(accountId, receive);
+
+  const held = heldLinks.get(accountId);
+  heldLinks.delete(accountId);
+  if (held && held.expiresAt > Date.now()) {
+    receive(held.url);
+  }
+
+  return () => {
+    if (waiters.get(accountId) === receive) {
+      waiters.delete(accountId);
+    }
+  };
+}
+
+/**
+ * Give a link to the account's waiting scraper. Returns false when no scraper
+ * in this process is waiting.
+ */
+function handOff(accountId, url) {
+  const receive = waiters.get(accountId);
+  if (!receive) {
+    return false;
+  }
+
+  waiters.delete(accountId);
+  receive(url);
+  return true;
+}
+
+/**
+ * Keep a link for a login that may start shortly
+ */
+function holdLink(accountId, url, expiresAt) {
+  heldLinks.set(accountId, { url, expiresAt });
+}
+
+module.exports = {
+  AUTH_STATES,
+  setAuthState,
+  getAuthState,
+  onAuthStateChange,
+  enableInProcessHandoff,
+  isInProcessHandoffEnabled,
+  awaitHandoff,
+  handOff,
+  holdLink
+};
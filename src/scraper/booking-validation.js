@@ -0,0 +1,100 @@
+// Booking shape validation shared by the DOM and LLM parsers
+
+// JSON Schema handed to providers that support structured output
+const BOOKINGS_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    bookings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          room: { type: 'string' },
+          date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+          startTime: { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$' },
+          endTime: { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$' },
+          description: { type: 'string' },
+          bookingId: { type: ['string', 'null'] }
+        },
+        required: ['title', 'room', 'date', 'startTime', 'endTime', 'description', 'bookingId'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['bookings'],
+  additionalProperties: false
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function isRealDate(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Validate a single booking, returning a list of human-readable problems
+ */
+function validateBooking(booking) {
+  const errors = [];
+
+  if (!booking || typeof booking !== 'object' || Array.isArray(booking)) {
+    return ['booking must be an object'];
+  }
+
+  if (typeof booking.date !== 'string' || !DATE_PATTERN.test(booking.date) || !isRealDate(booking.date)) {
+    errors.push(`date must be a real date in YYYY-MM-DD format (got ${JSON.stringify(booking.date)})`);
+  }
+
+  for (const field of ['startTime', 'endTime']) {
+    if (typeof booking[field] !== 'string' || !TIME_PATTERN.test(booking[field])) {
+      errors.push(`${field} must be a 24-hour time in HH:MM format (got ${JSON.stringify(booking[field])})`);
+    }
+  }
+
+  if (!errors.some(error => error.startsWith('startTime') || error.startsWith('endTime')) &&
+      booking.endTime <= booking.startTime) {
+    errors.push(`endTime (${booking.endTime}) must be after startTime (${booking.startTime})`);
+  }
+
+  if (typeof booking.room !== 'string' || !booking.room.trim()) {
+    errors.push('room must be a non-empty string');
+  }
+
+  if (typeof booking.title !== 'string' || !booking.title.trim()) {
+    errors.push('title must be a non-empty string');
+  }
+
+  if (booking.description !== undefined && booking.description !== null && typeof booking.description !== 'string') {
+    errors.push('description must be a string');
+  }
+
+  if (booking.bookingId !== undefined && booking.bookingId !== null &&
+      typeof booking.bookingId !== 'string' && typeof booking.bookingId !== 'number') {
+    errors.push('bookingId must be a string or null');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a list of bookings, returning problems tagged with their index
+ */
+function validateBookings(bookings) {
+  if (!Array.isArray(bookings)) {
+    return [{ index: null, errors: ['bookings must be an array'] }];
+  }
+
+  return bookings
+    .map((booking, index) => ({ index, errors: validateBooking(booking) }))
+    .filter(result => result.errors.length > 0);
+}
+
+module.exports = {
+  BOOKINGS_RESPONSE_SCHEMA,
+  validateBooking,
+  validateBookings
+};
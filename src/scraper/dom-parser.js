@@ -0,0 +1,220 @@
+// Deterministic, rule-based booking parser for Lucid's booking card markup
+
+const { BOOKING_CARD_SELECTORS } = require('../config/constants');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('DOM-PARSER');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+
+const ISO_DATE = /\b(\d{4})-(\d{2})-(\d{2})\b/;
+const DAY_MONTH_DATE = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_NAME}\\.?,?(?:\\s+(\\d{4}))?\\b`, 'i');
+const MONTH_DAY_DATE = new RegExp(`\\b${MONTH_NAME}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?(?:\\s+(\\d{4}))?\\b`, 'i');
+const NUMERIC_DATE = /\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/;
+const TIME_RANGE = /\b(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?\s*(?:-|–|—|to)\s*(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?\b/gi;
+const ROOM_HINT = /\b(room|office|suite|boardroom|meeting|conference|studio|pod)\b/i;
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function monthIndex(name) {
+  return MONTHS.indexOf(name.substring(0, 3).toLowerCase());
+}
+
+/**
+ * Lucid lists upcoming bookings without a year; pick the year that puts the
+ * date closest to the reference date
+ */
+function inferYear(month, day, referenceDate) {
+  const year = referenceDate.getFullYear();
+  const candidates = [year - 1, year, year + 1];
+  return candidates.reduce((best, candidate) => {
+    const distance = Math.abs(new Date(candidate, month, day) - referenceDate);
+    const bestDistance = Math.abs(new Date(best, month, day) - referenceDate);
+    return distance < bestDistance ? candidate : best;
+  });
+}
+
+/**
+ * Find a date in free text and return it as YYYY-MM-DD
+ */
+function parseDate(text, referenceDate = new Date()) {
+  let match = text.match(ISO_DATE);
+  if (match) {
+    return `${match[1]}-${match[2]}-${match[3]}`;
+  }
+
+  let day;
+  let month;
+  let year;
+
+  if ((match = text.match(DAY_MONTH_DATE))) {
+    day = Number(match[1]);
+    month = monthIndex(match[2]);
+    year = match[3] && Number(match[3]);
+  } else if ((match = text.match(MONTH_DAY_DATE))) {
+    month = monthIndex(match[1]);
+    day = Number(match[2]);
+    year = match[3] && Number(match[3]);
+  } else if ((match = text.match(NUMERIC_DATE))) {
+    // Lucid is a US site, so numeric dates are MM/DD/YYYY
+    month = Number(match[1]) - 1;
+    day = Number(match[2]);
+    year = Number(match[3]);
+  } else {
+    return null;
+  }
+
+  if (!year) {
+    year = inferYear(month, day, referenceDate);
+  }
+
+  return `${year}-${pad(month + 1)}-${pad(day)}`;
+}
+
+function toTwentyFourHour(hour, meridiem) {
+  if (!meridiem) {
+    return hour;
+  }
+  const isPm = meridiem.toLowerCase() === 'pm';
+  if (hour === 12) {
+    return isPm ? 12 : 0;
+  }
+  return isPm ? hour + 12 : hour;
+}
+
+/**
+ * Find a time range ("9:00 AM - 10:30 AM", "09:00–10:30", "11-1pm") in free text
+ */
+function parseTimeRange(text) {
+  for (const match of text.matchAll(TIME_RANGE)) {
+    const [, startHourText, startMinute = '00', startMeridiemText, endHourText, endMinute = '00', endMeridiem] = match;
+
+    // Bare numbers such as "10 - 12" (or the tail of a date) are too ambiguous to be times
+    if (!match[2] && !match[5] && !startMeridiemText && !endMeridiem) {
+      continue;
+    }
+
+    const endHour = toTwentyFourHour(Number(endHourText), endMeridiem);
+    let startMeridiem = startMeridiemText || endMeridiem;
+    let startHour = toTwentyFourHour(Number(startHourText), startMeridiem);
+
+    // "11 - 1pm": the start inherited the wrong half of the day
+    if (!startMeridiemText && endMeridiem && startHour * 60 + Number(startMinute) > endHour * 60 + Number(endMinute)) {
+      startMeridiem = endMeridiem.toLowerCase() === 'pm' ? 'am' : 'pm';
+      startHour = toTwentyFourHour(Number(startHourText), startMeridiem);
+    }
+
+    return {
+      startTime: `${pad(startHour)}:${startMinute}`,
+      endTime: `${pad(endHour)}:${endMinute}`
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Turn the text pulled from one booking card into a booking object
+ */
+function parseBookingCard(card, referenceDate = new Date()) {
+  const lines = card.lines.map(line => line.trim()).filter(Boolean);
+  const text = lines.join('\n');
+
+  const date = parseDate(text, referenceDate);
+  const times = parseTimeRange(text);
+  if (!date || !times) {
+    return null;
+  }
+
+  const room = card.room ||
+    lines.find(line => ROOM_HINT.test(line) && line !== card.heading && !parseTimeRange(line)) ||
+    '';
+  const title = card.heading && card.heading !== room ? card.heading : (room ? `${room} booking` : 'Room Booking');
+
+  const used = new Set([card.heading, card.room, room]);
+  const description = lines
+    .filter(line => !used.has(line) && !parseTimeRange(line) && !parseDate(line, referenceDate))
+    .join('\n');
+
+  const booking = { title, room, date, ...times, description };
+  if (card.bookingId) {
+    booking.bookingId = card.bookingId;
+  }
+  return booking;
+}
+
+/**
+ * Collect the text of every booking card on the page. Runs in the browser.
+ */
+async function extractBookingCards(page) {
+  logger.debug('Collecting booking cards from page');
+
+  return await page.evaluate((selectors) => {
+    // A card has to mention a time, which rules out titles, badges and other fragments
+    const hasTime = el => /\d{1,2}[:.]\d{2}|\d\s*(am|pm)\b/i.test(el.innerText || '');
+
+    const candidates = new Set();
+    for (const selector of selectors) {
+      document.querySelectorAll(selector).forEach(el => {
+        if (hasTime(el)) {
+          candidates.add(el);
+        }
+      });
+    }
+
+    // Keep the innermost matches so a list wrapper isn't parsed as one big card
+    const cards = Array.from(candidates).filter(el =>
+      !Array.from(candidates).some(other => other !== el && el.contains(other))
+    );
+
+    const textOf = (root, selector) => {
+      const el = root.querySelector(selector);
+      return el ? el.innerText.trim() : null;
+    };
+
+    return cards.map(card => {
+      const link = card.querySelector('a[href*="/bookings/"]');
+      const idFromLink = link ? (link.getAttribute('href').match(/\/bookings\/([\w-]+)/) || [])[1] : null;
+
+      return {
+        lines: card.innerText.split('\n'),
+        heading: textOf(card, 'h1, h2, h3, h4, h5, h6, [class*="title"]'),
+        room: textOf(card, '[class*="room"], [class*="location"], [class*="space"]'),
+        bookingId: card.dataset.bookingId || card.dataset.id || idFromLink || null
+      };
+    });
+  }, BOOKING_CARD_SELECTORS);
+}
+
+/**
+ * Parse bookings straight from the rendered DOM, without the LLM
+ */
+async function parseBookingsFromDom(page) {
+  logger.progress('Parsing bookings from page DOM');
+
+  try {
+    const cards = await extractBookingCards(page);
+    const referenceDate = new Date();
+    const bookings = cards
+      .map(card => parseBookingCard(card, referenceDate))
+      .filter(Boolean);
+
+    logger.info(`DOM parser found ${bookings.length} bookings in ${cards.length} candidate cards`);
+    return bookings;
+
+  } catch (error) {
+    logger.error('Error parsing bookings from DOM', error);
+    return [];
+  }
+}
+
+module.exports = {
+  parseBookingsFromDom,
+  extractBookingCards,
+  parseBookingCard,
+  parseDate,
+  parseTimeRange
+};
@@ -0,0 +1,138 @@
+// Optional IMAP poller: watches a mailbox for Lucid's login email so a
+// session can be renewed without anyone pasting the magic link
+
+const { ImapFlow } = require('imapflow');
+const { IMAP } = require('../config/constants');
+const { createLogger } = require('../utils/logger');
+const { isFromLucid, parseMagicLinkEmail } = require('./magic-link-mail');
+
+const logger = createLogger('IMAP');
+
+/**
+ * Mailbox settings from the IMAP_* environment variables, with an account's
+ * "imap" settings from config.json taking precedence. Null when no host is set.
+ */
+function getImapConfig(overrides = {}) {
+  const env = process.env;
+  const config = {
+    host: env.IMAP_HOST,
+    port: parseInt(env.IMAP_PORT, 10) || IMAP.DEFAULT_PORT,
+    secure: env.IMAP_SECURE !== 'false',
+    rejectUnauthorized: env.IMAP_TLS_REJECT_UNAUTHORIZED !== 'false',
+    user: env.IMAP_USER,
+    password: env.IMAP_PASSWORD,
+    mailbox: env.IMAP_MAILBOX || IMAP.DEFAULT_MAILBOX,
+    pollInterval: IMAP.POLL_INTERVAL,
+    ...(overrides || {})
+  };
+
+  return config.host ? config : null;
+}
+
+/**
+ * Resolve after `ms`, or as soon as `signal` aborts
+ */
+function wait(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+/**
+ * Look through messages received since `since` for a Lucid login email
+ * addressed to `recipient`. Checked UIDs are added to `checked`.
+ */
+async function findMagicLink(client, { mailbox, since, recipient, checked }) {
+  const lock = await client.getMailboxLock(mailbox);
+  try {
+    // SEARCH SINCE only compares dates; the receive time is checked below
+    const uids = await client.search({ since }, { uid: true }) || [];
+
+    for (const uid of uids) {
+      if (checked.has(uid)) {
+        continue;
+      }
+      checked.add(uid);
+
+      const message = await client.fetchOne(uid, { source: true, internalDate: true }, { uid: true });
+      if (!message || (message.internalDate && message.internalDate < since)) {
+        continue;
+      }
+
+      const mail = await parseMagicLinkEmail(message.source);
+      if (!isFromLucid(mail.from)) {
+        continue;
+      }
+      if (recipient && mail.to.length > 0 && !mail.to.includes(recipient.toLowerCase())) {
+        logger.debug('Skipping Lucid email for another recipient', { to: mail.to });
+        continue;
+      }
+      if (!mail.link) {
+        logger.warn('Lucid email contained no magic link on the Lucid domain', { subject: mail.subject });
+        continue;
+      }
+
+      await client.messageFlagsAdd(uid, ['\\Seen'], { uid: true });
+      return mail.link;
+    }
+  } finally {
+    lock.release();
+  }
+
+  return null;
+}
+
+/**
+ * Poll the mailbox until a magic link sent after `since` arrives, or until
+ * `signal` aborts (resolves null). Connection failures are retried.
+ */
+async function pollMailboxForMagicLink({ since = new Date(), recipient = null, signal, config = getImapConfig() }) {
+  if (!config) {
+    return null;
+  }
+
+  const searchFrom = new Date(since.getTime() - IMAP.CLOCK_SKEW);
+  const checked = new Set();
+  logger.info('Watching mailbox for the Lucid magic link', { host: config.host, user: config.user, mailbox: config.mailbox });
+
+  while (!signal?.aborted) {
+    const client = new ImapFlow({
+      host: config.host,
+      port: config.port,
+      secure: config.secure,
+      auth: { user: config.user, pass: config.password },
+      tls: { rejectUnauthorized: config.rejectUnauthorized },
+      logger: false
+    });
+    client.on('error', error => logger.debug('IMAP connection error', { message: error.message }));
+
+    try {
+      await client.connect();
+
+      while (!signal?.aborted) {
+        const link = await findMagicLink(client, { mailbox: config.mailbox, since: searchFrom, recipient, checked });
+        if (link) {
+          logger.success('Magic link received by email');
+          return link;
+        }
+        await wait(config.pollInterval, signal);
+      }
+    } catch (error) {
+      logger.warn('IMAP mailbox check failed, retrying', { message: error.message });
+      await wait(config.pollInterval, signal);
+    } finally {
+      await client.logout().catch(() => {});
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  getImapConfig,
+  pollMailboxForMagicLink
+};
@@ -1,19 +1,12 @@
-const axios = require('axios');
+const { complete, getProviderConfig } = require('./llm-providers');
+const { BOOKINGS_RESPONSE_SCHEMA, validateBookings } = require('./booking-validation');
 const { LLM } = require('../config/constants');
 const { llmLogger: logger } = require('../utils/logger');
 
-async function parseBookingsWithLLM(html) {
-  if (!process.env.OPENROUTER_API_KEY) {
-    const error = new Error('OPENROUTER_API_KEY environment variable is required');
-    logger.error('Missing API key', error);
-    throw error;
-  }
-  
-  logger.progress(`Parsing HTML content with LLM (${html.length} characters)`);
-
-  const prompt = `
-You are tasked with extracting room booking information from HTML content. 
-Parse the HTML and extract all booking/reservation data into a JSON array.
+function buildPrompt(html) {
+  return `
+You are tasked with extracting room booking information from HTML content.
+Parse the HTML and extract all booking/reservation data.
 
 For each booking, extract:
 - title: The booking/event title or description
@@ -21,67 +14,168 @@ For each booking, extract:
 - date: The date in YYYY-MM-DD format
 - startTime: Start time in HH:MM format (24-hour)
 - endTime: End time in HH:MM format (24-hour)
-- description: Any additional details about the booking
+- description: Any additional details about the booking (empty string if none)
+- bookingId: Lucid's own booking ID or reference number if shown, otherwise null
 
-Return ONLY a valid JSON array of booking objects. If no bookings are found, return an empty array [].
+Return ONLY a valid JSON object of the form {"bookings": [...]}. If no bookings are found, return {"bookings": []}.
 
 HTML content to parse:
 ${html}
 `;
+}
 
-  try {
-    const model = process.env.LLM_MODEL || LLM.DEFAULT_MODEL;
-    logger.debug('Using LLM model', { model });
-    
-    const response = await axios.post('https://openrouter.ai/api/v1/chat/completions', {
-      model: model,
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      max_tokens: LLM.MAX_TOKENS,
-      temperature: LLM.TEMPERATURE
-    }, {
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': 'https://github.com/your-username/lucid-to-ics',
-        'X-Title': 'Lucid Bookings Scraper'
+function buildCorrectionPrompt(problems) {
+  const details = problems
+    .map(({ index, errors }) => `- ${index === null ? 'response' : `bookings[${index}]`}: ${errors.join('; ')}`)
+    .join('\n');
+
+  return `
+Your previous response did not match the required format:
+${details}
+
+Fix these problems and return the complete corrected JSON object of the form {"bookings": [...]}, with every booking (not only the corrected ones). Return ONLY the JSON.
+`;
+}
+
+/**
+ * Pull the bookings array out of an LLM reply, tolerating code fences,
+ * surrounding prose and a bare array instead of the requested object
+ */
+function extractBookingsJson(content) {
+  const unfenced = content.replace(/^```(?:json)?\s*|\s*```$/g, '').trim();
+
+  const candidates = [unfenced];
+  const objectMatch = unfenced.match(/\{[\s\S]*\}/);
+  const arrayMatch = unfenced.match(/\[[\s\S]*\]/);
+  if (objectMatch) candidates.push(objectMatch[0]);
+  if (arrayMatch) candidates.push(arrayMatch[0]);
+
+  let lastError = null;
+  for (const candidate of candidates) {
+    try {
+      const parsed = JSON.parse(candidate);
+      if (Array.isArray(parsed)) {
+        return parsed;
+      }
+      if (parsed && Array.isArray(parsed.bookings)) {
+        return parsed.bookings;
       }
+      lastError = new Error('expected an object with a "bookings" array');
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  throw new SyntaxError(`response is not valid JSON: ${lastError.message}`);
+}
+
+function getMaxRetries() {
+  const configured = parseInt(process.env.LLM_MAX_RETRIES, 10);
+  return Number.isNaN(configured) || configured < 0 ? LLM.MAX_RETRIES : configured;
+}
+
+/**
+ * Extract bookings from HTML with the configured LLM. Request details (model,
+ * latency, token counts) are accumulated into `stats` when one is passed.
+ * `complete` is false when some bookings were rejected or the call failed,
+ * so the result can't be taken as the full list.
+ *
+ * @returns {Promise<{bookings: object[], complete: boolean}>}
+ */
+async function parseBookingsWithLLM(html, stats = {}) {
+  let providerConfig;
+  try {
+    providerConfig = getProviderConfig();
+    if (providerConfig.provider.requiresApiKey && !providerConfig.apiKey) {
+      throw new Error(`LLM_API_KEY environment variable is required for the ${providerConfig.name} provider`);
+    }
+  } catch (error) {
+    logger.error('Invalid LLM provider configuration', error);
+    throw error;
+  }
+
+  logger.progress(`Parsing HTML content with LLM (${html.length} characters)`);
+
+  const maxRetries = getMaxRetries();
+  const messages = [{ role: 'user', content: buildPrompt(html) }];
+  let bookings = [];
+  let problems = [];
+
+  try {
+    logger.debug('Using LLM provider', { provider: providerConfig.name, model: providerConfig.model });
+    Object.assign(stats, {
+      provider: providerConfig.name,
+      model: providerConfig.model,
+      requests: 0,
+      latencyMs: 0,
+      inputTokens: 0,
+      outputTokens: 0
     });
 
-    const content = response.data.choices[0].message.content.trim();
-    logger.debug('LLM response received', { contentLength: content.length });
-    
-    // Extract JSON from the response (in case there's extra text)
-    const jsonMatch = content.match(/\[[\s\S]*\]/);
-    if (!jsonMatch) {
-      logger.warn('No JSON array found in LLM response', { content: content.substring(0, 200) + '...' });
-      return [];
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      const requestStart = Date.now();
+      const response = await complete({ messages, responseSchema: BOOKINGS_RESPONSE_SCHEMA });
+      stats.requests++;
+      stats.latencyMs += Date.now() - requestStart;
+      stats.inputTokens += response.usage.inputTokens || 0;
+      stats.outputTokens += response.usage.outputTokens || 0;
+
+      const content = response.content;
+      logger.debug('LLM response received', { attempt: attempt + 1, contentLength: content.length });
+
+      try {
+        bookings = extractBookingsJson(content);
+        problems = validateBookings(bookings);
+      } catch (error) {
+        bookings = [];
+        problems = [{ index: null, errors: [error.message] }];
+      }
+
+      if (problems.length === 0) {
+        logger.success(`LLM parsed ${bookings.length} bookings successfully`, { attempts: attempt + 1 });
+        return { bookings, complete: true };
+      }
+
+      problems.forEach(({ index, errors }) => {
+        logger.warn('Rejected LLM output', {
+          attempt: attempt + 1,
+          booking: index === null ? null : bookings[index],
+          reasons: errors
+        });
+      });
+
+      if (attempt < maxRetries) {
+        logger.info(`Asking LLM to correct ${problems.length} problems (retry ${attempt + 1}/${maxRetries})`);
+        messages.push(
+          { role: 'assistant', content },
+          { role: 'user', content: buildCorrectionPrompt(problems) }
+        );
+      }
     }
 
-    const bookings = JSON.parse(jsonMatch[0]);
-    logger.success(`LLM parsed ${bookings.length} bookings successfully`);
-    
-    return bookings;
-    
+    // Out of retries: keep whatever passed validation
+    const rejected = new Set(problems.map(problem => problem.index));
+    const validBookings = bookings.filter((booking, index) => !rejected.has(index));
+    logger.warn(`LLM output still invalid after ${maxRetries} retries, keeping ${validBookings.length} valid bookings`, {
+      rejected: problems.length
+    });
+
+    return { bookings: validBookings, complete: false };
+
   } catch (error) {
+    stats.error = error.message;
     if (error.response) {
-      logger.error('OpenRouter API error', {
+      logger.error(`${providerConfig.name} API error`, {
         status: error.response.status,
         data: error.response.data
       });
-    } else if (error.name === 'SyntaxError') {
-      logger.error('Failed to parse LLM response as JSON', error);
     } else {
       logger.error('Error calling LLM API', error);
     }
-    
-    // Return empty array on error rather than crashing
-    return [];
+
+    // Return no bookings on error rather than crashing
+    return { bookings: [], complete: false };
   }
 }
 
-module.exports = { parseBookingsWithLLM };
\ No newline at end of file
+module.exports = { parseBookingsWithLLM };
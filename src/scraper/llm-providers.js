@@ -0,0 +1,198 @@
+// LLM provider adapters: each knows its endpoint, auth, timeout and response shape
+
+const axios = require('axios');
+const { LLM } = require('../config/constants');
+const { llmLogger: logger } = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+// Opening of the assistant turn when Anthropic is asked for JSON output
+const ANTHROPIC_PREFILL = '{';
+
+function trimTrailingSlash(url) {
+  return url.replace(/\/+$/, '');
+}
+
+/**
+ * Chat Completions request body shared by OpenRouter and OpenAI-compatible servers
+ */
+function buildChatCompletionsBody({ model, messages, maxTokens, temperature, responseSchema, structuredOutput }) {
+  const body = {
+    model,
+    messages,
+    max_tokens: maxTokens,
+    temperature
+  };
+
+  if (responseSchema && structuredOutput === 'json_schema') {
+    body.response_format = {
+      type: 'json_schema',
+      json_schema: { name: 'response', strict: true, schema: responseSchema }
+    };
+  } else if (responseSchema && structuredOutput === 'json_object') {
+    body.response_format = { type: 'json_object' };
+  }
+
+  return body;
+}
+
+function parseChatCompletionsResponse(data) {
+  const content = data?.choices?.[0]?.message?.content;
+  if (typeof content !== 'string') {
+    throw new Error('LLM response did not contain a message');
+  }
+
+  return {
+    content: content.trim(),
+    usage: {
+      inputTokens: data.usage?.prompt_tokens ?? null,
+      outputTokens: data.usage?.completion_tokens ?? null
+    }
+  };
+}
+
+const PROVIDERS = {
+  openrouter: {
+    defaults: LLM.PROVIDERS.openrouter,
+    apiKey: () => process.env.LLM_API_KEY || process.env.OPENROUTER_API_KEY,
+    requiresApiKey: true,
+    endpoint: (baseUrl) => `${baseUrl}/chat/completions`,
+    headers: (apiKey) => ({
+      'Authorization': `Bearer ${apiKey}`,
+      'Content-Type': 'application/json',
+      'HTTP-Referer': process.env.LLM_APP_URL || LLM.APP_URL,
+      'X-Title': 'Lucid Bookings Scraper'
+    }),
+    buildBody: buildChatCompletionsBody,
+    parseResponse: parseChatCompletionsResponse
+  },
+
+  // Any server speaking the OpenAI Chat Completions API: OpenAI, Ollama, llama.cpp, vLLM, LM Studio...
+  openai: {
+    defaults: LLM.PROVIDERS.openai,
+    apiKey: () => process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+    requiresApiKey: false,
+    endpoint: (baseUrl) => `${baseUrl}/chat/completions`,
+    headers: (apiKey) => ({
+      'Content-Type': 'application/json',
+      ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
+    }),
+    buildBody: buildChatCompletionsBody,
+    parseResponse: parseChatCompletionsResponse
+  },
+
+  anthropic: {
+    defaults: LLM.PROVIDERS.anthropic,
+    apiKey: () => process.env.LLM_API_KEY || process.env.ANTHROPIC_API_KEY,
+    requiresApiKey: true,
+    endpoint: (baseUrl) => `${baseUrl}/v1/messages`,
+    headers: (apiKey) => ({
+      'x-api-key': apiKey,
+      'anthropic-version': LLM.ANTHROPIC_VERSION,
+      'Content-Type': 'application/json'
+    }),
+    buildBody: ({ model, messages, maxTokens, temperature, responseSchema, structuredOutput }) => {
+      const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+      const body = {
+        model,
+        messages: messages.filter(message => message.role !== 'system'),
+        max_tokens: maxTokens,
+        temperature
+      };
+      if (system) {
+        body.system = system;
+      }
+      if (responseSchema && structuredOutput === 'prefill') {
+        body.messages = [...body.messages, { role: 'assistant', content: ANTHROPIC_PREFILL }];
+      }
+      return body;
+    },
+    parseResponse: (data, { responseSchema, structuredOutput }) => {
+      const text = (data?.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+      if (!text) {
+        throw new Error('LLM response did not contain any text content');
+      }
+
+      const prefilled = responseSchema && structuredOutput === 'prefill';
+      return {
+        content: (prefilled ? ANTHROPIC_PREFILL + text : text).trim(),
+        usage: {
+          inputTokens: data.usage?.input_tokens ?? null,
+          outputTokens: data.usage?.output_tokens ?? null
+        }
+      };
+    }
+  }
+};
+
+/**
+ * Resolve provider settings from the environment
+ */
+function getProviderConfig() {
+  const name = (process.env.LLM_PROVIDER || LLM.DEFAULT_PROVIDER).toLowerCase();
+  const provider = PROVIDERS[name];
+
+  if (!provider) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  return {
+    name,
+    provider,
+    baseUrl: trimTrailingSlash(process.env.LLM_BASE_URL || provider.defaults.BASE_URL),
+    model: process.env.LLM_MODEL || provider.defaults.MODEL,
+    apiKey: provider.apiKey(),
+    timeout: Number(process.env.LLM_TIMEOUT) || provider.defaults.TIMEOUT,
+    structuredOutput: process.env.LLM_STRUCTURED_OUTPUT || provider.defaults.STRUCTURED_OUTPUT
+  };
+}
+
+/**
+ * Send a chat-style request to the configured provider. When `responseSchema`
+ * is given, the provider's structured-output mode (JSON schema, JSON object or
+ * prefill) is used to steer the reply towards it.
+ *
+ * @returns {Promise<{content: string, usage: {inputTokens: ?number, outputTokens: ?number}, model: string, provider: string}>}
+ */
+async function complete({ messages, responseSchema = null, maxTokens = LLM.MAX_TOKENS, temperature = LLM.TEMPERATURE }) {
+  const { name, provider, baseUrl, model, apiKey, timeout, structuredOutput } = getProviderConfig();
+
+  if (provider.requiresApiKey && !apiKey) {
+    throw new Error(`An API key is required for the ${name} LLM provider (set LLM_API_KEY)`);
+  }
+
+  logger.debug('Sending LLM request', { provider: name, baseUrl, model, structuredOutput: responseSchema ? structuredOutput : 'none' });
+
+  const labels = { provider: name, model };
+  const stopTimer = metrics.llmRequestDuration.startTimer(labels);
+
+  try {
+    const response = await axios.post(
+      provider.endpoint(baseUrl),
+      provider.buildBody({ model, messages, maxTokens, temperature, responseSchema, structuredOutput }),
+      {
+        headers: provider.headers(apiKey),
+        timeout
+      }
+    );
+    const parsed = provider.parseResponse(response.data, { responseSchema, structuredOutput });
+    stopTimer();
+
+    metrics.llmTokens.inc({ ...labels, direction: 'input' }, parsed.usage.inputTokens || 0);
+    metrics.llmTokens.inc({ ...labels, direction: 'output' }, parsed.usage.outputTokens || 0);
+
+    return { ...parsed, model, provider: name };
+
+  } catch (error) {
+    metrics.llmErrors.inc(labels);
+    throw error;
+  }
+}
+
+module.exports = {
+  PROVIDERS,
+  getProviderConfig,
+  complete
+};
@@ -2,11 +2,18 @@
 
 const path = require('path');
 const fs = require('fs-extra');
-const { TIMEOUTS, PATHS, URLS } = require('../config/constants');
+const { TIMEOUTS, PATHS, URLS, MAGIC_LINK, LOGIN_INTAKE } = require('../config/constants');
 const { createLogger } = require('../utils/logger');
+const { createUsedMagicLinkStore } = require('../storage/used-magic-links');
+const { pollMailboxForMagicLink } = require('./imap-poller');
+const { isLucidUrl } = require('./magic-link-mail');
+const { markLoginPending, clearLoginPending } = require('./magic-link-intake');
+const { isInProcessHandoffEnabled, awaitHandoff } = require('./auth-state');
 
 const logger = createLogger('LOGIN');
 
+const defaultLoginUrlFile = path.join(__dirname, '../../', PATHS.LOGIN_URL_FILE);
+
 /**
  * Find email input field on the page
  */
@@ -105,19 +112,29 @@ async function submitEmailForm(page, email, emailSelector) {
 }
 
 /**
- * Check if magic link URL exists and is valid
+ * Check if magic link URL exists and is valid. With `waitingSince`, a link
+ * submitted more than LOGIN_INTAKE.HOLD_TIME before the wait began has expired.
+ * Expired, off-domain and already used links are removed.
  */
-async function checkMagicLinkUrl() {
+async function checkMagicLinkUrl(loginUrlFile = defaultLoginUrlFile, waitingSince = null) {
   logger.debug('Checking for magic link URL');
   
-  const loginUrlFile = path.join(__dirname, '../../', PATHS.LOGIN_URL_FILE);
-  
   if (await fs.pathExists(loginUrlFile)) {
-    const url = await fs.readFile(loginUrlFile, 'utf8');
-    if (url && url.trim().startsWith('http')) {
+    const { mtimeMs } = await fs.stat(loginUrlFile);
+    const url = (await fs.readFile(loginUrlFile, 'utf8')).trim();
+
+    if (waitingSince && mtimeMs < waitingSince - LOGIN_INTAKE.HOLD_TIME) {
+      logger.warn('Discarding magic link submitted before this login started');
+    } else if (!isLucidUrl(url)) {
+      logger.warn(`Discarding magic link that is not an https:// URL on ${MAGIC_LINK.DOMAIN}`);
+    } else if (await createUsedMagicLinkStore().has(url)) {
+      logger.warn('Discarding magic link that was already used');
+    } else {
       logger.success('Found valid magic link URL');
-      return url.trim();
+      return url;
     }
+
+    await fs.remove(loginUrlFile).catch(() => {});
   }
   
   logger.debug('No valid magic link URL found');
@@ -125,23 +142,71 @@ async function checkMagicLinkUrl() {
 }
 
 /**
- * Wait for magic link URL to be provided
+ * Poll the login URL file until a valid link appears or `signal` aborts.
+ * Only used when the scraper runs outside the server's process.
+ */
+async function pollMagicLinkFile(loginUrlFile, waitingSince, signal) {
+  while (!signal.aborted) {
+    const url = await checkMagicLinkUrl(loginUrlFile, waitingSince);
+    if (url) {
+      return url;
+    }
+    await new Promise(resolve => setTimeout(resolve, 2000));
+  }
+  return null;
+}
+
+/**
+ * Wait for magic link URL to be provided: pasted at /login (handed over
+ * directly when the server runs in this process, through the login URL file
+ * otherwise) or, when `imapConfig` is set, picked up from the mailbox
  */
-async function waitForMagicLink() {
+async function waitForMagicLink(loginUrlFile = defaultLoginUrlFile, { accountId = null, recipient = null, imapConfig = null, since = new Date() } = {}) {
   logger.info('Waiting for magic link URL...');
-  logger.info('Please paste the magic link URL at: http://localhost:3000/login');
-  
+  logger.info(`Please paste the magic link URL at: http://localhost:3000/login${accountId ? `?account=${accountId}` : ''}`);
+
   const startTime = Date.now();
   const timeout = TIMEOUTS.MAGIC_LINK_WAIT;
-  
-  while (Date.now() - startTime < timeout) {
-    const url = await checkMagicLinkUrl();
+  const inProcess = accountId && isInProcessHandoffEnabled();
+
+  const sources = new AbortController();
+  let receive;
+  const received = new Promise(resolve => { receive = resolve; });
+  const timer = setTimeout(() => receive(null), timeout);
+  let stopHandoff = () => {};
+
+  if (inProcess) {
+    stopHandoff = awaitHandoff(accountId, url => receive(url));
+  } else {
+    await markLoginPending(loginUrlFile);
+    pollMagicLinkFile(loginUrlFile, startTime, sources.signal)
+      .then(url => url && receive(url))
+      .catch(error => logger.warn('Stopped checking the login URL file', { message: error.message }));
+  }
+
+  if (imapConfig) {
+    pollMailboxForMagicLink({ since, recipient, signal: sources.signal, config: imapConfig })
+      .then(url => url && receive(url))
+      .catch(error => logger.warn('Stopped watching mailbox for the magic link', { message: error.message }));
+  }
+
+  try {
+    const url = await received;
+    sources.abort();
     if (url) {
+      // Magic links are single-use: never hand this one out again
+      await createUsedMagicLinkStore().markUsed(url, accountId);
       return url;
     }
-    await new Promise(resolve => setTimeout(resolve, 2000));
+  } finally {
+    clearTimeout(timer);
+    sources.abort();
+    stopHandoff();
+    if (!inProcess) {
+      await clearLoginPending(loginUrlFile);
+    }
   }
-  
+
   throw new Error('Magic link URL not provided within timeout period');
 }
 
@@ -193,11 +258,9 @@ async function processMagicLink(page, magicLinkUrl) {
 /**
  * Clean up the magic link URL file after use
  */
-async function cleanupMagicLink() {
+async function cleanupMagicLink(loginUrlFile = defaultLoginUrlFile) {
   logger.debug('Cleaning up magic link URL file');
   
-  const loginUrlFile = path.join(__dirname, '../../', PATHS.LOGIN_URL_FILE);
-  
   try {
     if (await fs.pathExists(loginUrlFile)) {
       await fs.remove(loginUrlFile);
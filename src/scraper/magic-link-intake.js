@@ -0,0 +1,127 @@
+// Handing magic links to a waiting scraper: directly when it runs in the
+// server's process (see auth-state.js), otherwise through the account's login
+// URL file, with a marker file next to it telling the server a login is waiting.
+
+const fs = require('fs-extra');
+const { TIMEOUTS, MAGIC_LINK, LOGIN_INTAKE } = require('../config/constants');
+const { createLogger } = require('../utils/logger');
+const { createUsedMagicLinkStore } = require('../storage/used-magic-links');
+const { handOff, holdLink } = require('./auth-state');
+
+const logger = createLogger('LOGIN');
+
+function getPendingMarker(loginUrlFile) {
+  return `${loginUrlFile}.pending`;
+}
+
+async function markLoginPending(loginUrlFile) {
+  await fs.outputFile(getPendingMarker(loginUrlFile), new Date().toISOString());
+}
+
+async function clearLoginPending(loginUrlFile) {
+  await fs.remove(getPendingMarker(loginUrlFile)).catch(() => {});
+}
+
+/**
+ * When a scraper in another process started waiting for this file, or null.
+ * Markers older than the magic link wait are left over from a scraper that
+ * died and don't count.
+ */
+async function getPendingSince(loginUrlFile) {
+  try {
+    const stats = await fs.stat(getPendingMarker(loginUrlFile));
+    return Date.now() - stats.mtimeMs < TIMEOUTS.MAGIC_LINK_WAIT ? stats.mtime : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function isLoginPending(loginUrlFile) {
+  return (await getPendingSince(loginUrlFile)) !== null;
+}
+
+/**
+ * Check a submitted magic link
+ *
+ * @returns {Promise<{error: string, code: 'invalid'|'used'}|null>} null when the link is acceptable
+ */
+async function validateMagicLink(value) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (!text) {
+    return { code: 'invalid', error: 'Paste the magic link URL from the Lucid email' };
+  }
+
+  let url;
+  try {
+    url = new URL(text);
+  } catch (error) {
+    return { code: 'invalid', error: 'That is not a valid URL' };
+  }
+
+  if (url.protocol !== 'https:') {
+    return { code: 'invalid', error: 'The magic link must start with https://' };
+  }
+  if (url.hostname !== MAGIC_LINK.DOMAIN && !url.hostname.endsWith(`.${MAGIC_LINK.DOMAIN}`)) {
+    return { code: 'invalid', error: `The magic link must point to ${MAGIC_LINK.DOMAIN}, not ${url.hostname}` };
+  }
+  if (await createUsedMagicLinkStore().has(text)) {
+    return { code: 'used', error: 'This magic link was already used. Request a new one from Lucid.' };
+  }
+
+  return null;
+}
+
+/**
+ * Drop a held link that no login picked up
+ */
+async function expireHeldLink(loginUrlFile, url) {
+  try {
+    if (await isLoginPending(loginUrlFile) || !await fs.pathExists(loginUrlFile)) {
+      return;
+    }
+    if ((await fs.readFile(loginUrlFile, 'utf8')).trim() === url) {
+      await fs.remove(loginUrlFile);
+      logger.info('Discarded magic link that no login picked up');
+    }
+  } catch (error) {
+    logger.warn('Could not discard held magic link', { message: error.message });
+  }
+}
+
+/**
+ * Validate a magic link and hand it to the account's scraper. When no login
+ * is pending the link is held for LOGIN_INTAKE.HOLD_TIME, then discarded.
+ *
+ * @returns {Promise<{error: string, code: string}|{pending: boolean, expiresAt: string|null}>}
+ */
+async function submitMagicLink(account, value) {
+  const invalid = await validateMagicLink(value);
+  if (invalid) {
+    return invalid;
+  }
+
+  const url = value.trim();
+  if (handOff(account.id, url)) {
+    return { pending: true, expiresAt: null };
+  }
+
+  // Fallback for a scraper running in another process
+  await fs.outputFile(account.paths.loginUrl, url);
+  if (await isLoginPending(account.paths.loginUrl)) {
+    return { pending: true, expiresAt: null };
+  }
+
+  const expiresAt = Date.now() + LOGIN_INTAKE.HOLD_TIME;
+  holdLink(account.id, url, expiresAt);
+  setTimeout(() => expireHeldLink(account.paths.loginUrl, url), LOGIN_INTAKE.HOLD_TIME).unref();
+  return { pending: false, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+module.exports = {
+  markLoginPending,
+  clearLoginPending,
+  getPendingSince,
+  isLoginPending,
+  validateMagicLink,
+  submitMagicLink
+};
@@ -0,0 +1,97 @@
+// Recognizing Lucid login emails and pulling the magic link out of them
+
+const { simpleParser } = require('mailparser');
+const { MAGIC_LINK } = require('../config/constants');
+
+const URL_PATTERN = /https?:\/\/[^\s"'<>()[\]]+/gi;
+
+/**
+ * HTTPS URL on the Lucid domain (or one of its subdomains)
+ */
+function isLucidUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' &&
+      (url.hostname === MAGIC_LINK.DOMAIN || url.hostname.endsWith(`.${MAGIC_LINK.DOMAIN}`));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Sender domains or addresses accepted as Lucid (MAGIC_LINK_SENDERS overrides the default)
+ */
+function getAllowedSenders() {
+  const configured = process.env.MAGIC_LINK_SENDERS;
+  const senders = configured ? configured.split(',') : MAGIC_LINK.SENDER_DOMAINS;
+  return senders.map(sender => sender.trim().toLowerCase()).filter(Boolean);
+}
+
+function isFromLucid(address) {
+  const sender = String(address || '').trim().toLowerCase();
+  if (!sender.includes('@')) {
+    return false;
+  }
+
+  return getAllowedSenders().some(allowed => allowed.includes('@')
+    ? sender === allowed
+    : sender.endsWith(`@${allowed}`) || sender.endsWith(`.${allowed}`));
+}
+
+function decodeHtmlEntities(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, decimal) => String.fromCharCode(Number(decimal)))
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&');
+}
+
+function findUrls(text) {
+  return (String(text || '').match(URL_PATTERN) || []).map(url => url.replace(/[.,;:!?]+$/, ''));
+}
+
+/**
+ * Pick the magic link out of an email's text and HTML bodies: a Lucid URL
+ * that looks like a login link, falling back to one carrying a query string
+ */
+function extractMagicLink({ text, html }) {
+  const hrefs = Array.from(String(html || '').matchAll(/href\s*=\s*["']([^"']+)["']/gi), match => decodeHtmlEntities(match[1]));
+  const candidates = [...new Set([...hrefs, ...findUrls(text)])].filter(isLucidUrl);
+
+  const describe = (candidate) => {
+    const url = new URL(candidate);
+    return `${url.pathname}${url.search}`;
+  };
+
+  return candidates.find(candidate => MAGIC_LINK.LINK_PATTERN.test(describe(candidate))) ||
+    candidates.find(candidate => new URL(candidate).search) ||
+    null;
+}
+
+/**
+ * Parse a raw MIME message into the parts we care about
+ *
+ * @returns {Promise<{from: string|null, to: string[], date: Date|null, subject: string, link: string|null}>}
+ */
+async function parseMagicLinkEmail(source) {
+  const mail = await simpleParser(source);
+  const addresses = (field) => (field ? [].concat(field) : [])
+    .flatMap(group => group.value || [])
+    .map(entry => String(entry.address || '').toLowerCase())
+    .filter(Boolean);
+
+  return {
+    from: addresses(mail.from)[0] || null,
+    to: [...addresses(mail.to), ...addresses(mail.cc)],
+    date: mail.date || null,
+    subject: mail.subject || '',
+    link: extractMagicLink({ text: mail.text, html: mail.html || '' })
+  };
+}
+
+module.exports = {
+  isLucidUrl,
+  isFromLucid,
+  extractMagicLink,
+  parseMagicLinkEmail
+};
@@ -0,0 +1,175 @@
+// In-process scrape scheduler: interval or cron timing, jitter, single-flight runs and backoff
+
+const { CronExpressionParser } = require('cron-parser');
+const { scrapeJobs } = require('./scrape-jobs');
+const { SCHEDULER } = require('../config/constants');
+const { createLogger } = require('../utils/logger');
+const { getBookingTimeZone } = require('../utils/timezone');
+
+const logger = createLogger('SCHEDULER');
+
+const MINUTE_MS = 60 * 1000;
+// setTimeout overflows beyond ~24.8 days
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+function readMinutes(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Scheduling settings from the environment. SCRAPER_CRON wins over SCRAPER_INTERVAL.
+ */
+function getSchedulerConfig() {
+  const cron = process.env.SCRAPER_CRON || null;
+  if (cron) {
+    // Throws on invalid expressions so misconfiguration surfaces at startup
+    CronExpressionParser.parse(cron, { tz: getBookingTimeZone() });
+  }
+
+  const intervalMinutes = readMinutes('SCRAPER_INTERVAL', SCHEDULER.DEFAULT_INTERVAL_MINUTES) || SCHEDULER.DEFAULT_INTERVAL_MINUTES;
+
+  return {
+    enabled: process.env.SCHEDULER_ENABLED !== 'false',
+    cron,
+    intervalMs: intervalMinutes * MINUTE_MS,
+    jitterMs: readMinutes('SCRAPER_JITTER', SCHEDULER.DEFAULT_JITTER_MINUTES) * MINUTE_MS,
+    backoffBaseMs: readMinutes('SCRAPER_BACKOFF_BASE', SCHEDULER.BACKOFF_BASE_MINUTES) * MINUTE_MS,
+    backoffMaxMs: readMinutes('SCRAPER_BACKOFF_MAX', SCHEDULER.BACKOFF_MAX_MINUTES) * MINUTE_MS
+  };
+}
+
+class ScrapeScheduler {
+  constructor({ runScrape = () => scrapeJobs.start({ trigger: 'schedule' }).promise, config = getSchedulerConfig() } = {}) {
+    this.runScrape = runScrape;
+    this.config = config;
+    this.timer = null;
+    this.running = null;
+    this.nextRunAt = null;
+    this.lastRunAt = null;
+    this.lastSuccessAt = null;
+    this.lastError = null;
+    this.consecutiveFailures = 0;
+  }
+
+  /**
+   * Start scheduling, with a first scrape shortly after startup
+   */
+  start() {
+    if (!this.config.enabled) {
+      logger.info('Scheduler disabled (SCHEDULER_ENABLED=false)');
+      return;
+    }
+
+    logger.info('Starting scrape scheduler', {
+      schedule: this.config.cron || `every ${this.config.intervalMs / MINUTE_MS} minutes`,
+      jitterMinutes: this.config.jitterMs / MINUTE_MS
+    });
+    this.scheduleIn(SCHEDULER.INITIAL_DELAY);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextRunAt = null;
+  }
+
+  /**
+   * Run a scrape now. While one is in flight, callers share it instead of
+   * starting another browser.
+   */
+  runNow() {
+    if (!this.running) {
+      this.running = this.execute().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async execute() {
+    this.lastRunAt = new Date();
+    logger.progress('Starting scheduled scrape');
+
+    try {
+      const result = await this.runScrape();
+      this.consecutiveFailures = 0;
+      this.lastSuccessAt = new Date();
+      this.lastError = null;
+      logger.success('Scheduled scrape finished');
+      return result;
+
+    } catch (error) {
+      if (error.code === 'SCRAPE_LOCKED') {
+        // Another process is scraping right now; not a failure of ours
+        logger.warn('Skipping scheduled scrape, another scrape holds the lock');
+      } else {
+        this.consecutiveFailures++;
+        this.lastError = error.message;
+        logger.error(`Scheduled scrape failed (${this.consecutiveFailures} in a row)`, error);
+      }
+      throw error;
+
+    } finally {
+      if (this.config.enabled) {
+        this.scheduleIn(this.getNextDelay());
+      }
+    }
+  }
+
+  /**
+   * Delay until the next run: exponential backoff after failures, otherwise
+   * the next cron slot or interval, plus random jitter
+   */
+  getNextDelay(now = new Date()) {
+    const jitter = Math.random() * this.config.jitterMs;
+
+    if (this.consecutiveFailures > 0) {
+      const backoff = this.config.backoffBaseMs * 2 ** (this.consecutiveFailures - 1);
+      return Math.min(backoff, this.config.backoffMaxMs) + jitter;
+    }
+
+    if (this.config.cron) {
+      const next = CronExpressionParser.parse(this.config.cron, {
+        currentDate: now,
+        tz: getBookingTimeZone()
+      }).next().toDate();
+      return next.getTime() - now.getTime() + jitter;
+    }
+
+    return this.config.intervalMs + jitter;
+  }
+
+  scheduleIn(delay) {
+    clearTimeout(this.timer);
+    const boundedDelay = Math.min(Math.max(delay, 0), MAX_TIMEOUT_MS);
+    this.nextRunAt = new Date(Date.now() + boundedDelay);
+    this.timer = setTimeout(() => {
+      this.runNow().catch(() => {
+        // Already logged in execute()
+      });
+    }, boundedDelay);
+
+    logger.info(`Next scrape scheduled for ${this.nextRunAt.toISOString()}`);
+  }
+
+  getState() {
+    return {
+      enabled: this.config.enabled,
+      running: !!this.running,
+      nextRunAt: this.nextRunAt,
+      lastRunAt: this.lastRunAt,
+      lastSuccessAt: this.lastSuccessAt,
+      lastError: this.lastError,
+      consecutiveFailures: this.consecutiveFailures
+    };
+  }
+}
+
+const createScrapeScheduler = (options) => new ScrapeScheduler(options);
+
+module.exports = {
+  ScrapeScheduler,
+  createScrapeScheduler,
+  getSchedulerConfig
+};
@@ -0,0 +1,146 @@
+// Background scrape jobs: one LucidScraper run at a time, with progress tracking.
+// A job scrapes its accounts one after another so only one browser is ever open.
+
+const crypto = require('crypto');
+const LucidScraper = require('./scrape');
+const { SCRAPE_JOBS } = require('../config/constants');
+const { getAccounts } = require('../config/accounts');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('JOBS');
+
+class ScrapeJobManager {
+  constructor({ createScraper = (options) => new LucidScraper(options) } = {}) {
+    this.createScraper = createScraper;
+    this.jobs = new Map();
+    this.current = null;
+  }
+
+  /**
+   * Start a scrape of `accounts` (all configured accounts by default) in the
+   * background, or join the one already running
+   *
+   * @returns {{job: object, joined: boolean, promise: Promise}}
+   */
+  start({ trigger = 'api', accounts = getAccounts() } = {}) {
+    if (this.current) {
+      logger.info('Scrape already running, joining existing job', { jobId: this.current.job.id, trigger });
+      return { ...this.current, joined: true };
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      trigger,
+      status: 'running',
+      accounts: accounts.map(account => account.id),
+      account: null,
+      phase: 'queued',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      bookingsFound: null,
+      error: null,
+      results: []
+    };
+    this.remember(job);
+    logger.info('Starting scrape job', { jobId: job.id, trigger, accounts: job.accounts });
+
+    const promise = this.runAccounts(job, accounts)
+      .then((bookings) => {
+        job.status = 'succeeded';
+        job.phase = 'done';
+        return bookings;
+      })
+      .catch((error) => {
+        // Leave `phase` where the run stopped so the failure point is visible
+        job.status = 'failed';
+        job.error = error.message;
+        throw error;
+      })
+      .finally(() => {
+        job.finishedAt = new Date().toISOString();
+        job.durationMs = new Date(job.finishedAt) - new Date(job.startedAt);
+        this.current = null;
+        logger.info(`Scrape job ${job.status}`, { jobId: job.id, durationMs: job.durationMs });
+      });
+
+    // Callers that only poll the job must not trigger unhandled rejections
+    promise.catch(() => {});
+
+    this.current = { job, promise };
+    return { job, promise, joined: false };
+  }
+
+  /**
+   * Scrape each account in turn. A failed account doesn't stop the others,
+   * except when another process holds the scrape lock.
+   */
+  async runAccounts(job, accounts) {
+    const bookings = [];
+    const failures = [];
+
+    for (const account of accounts) {
+      const result = { account: account.id, status: 'running', bookingsFound: null, error: null };
+      job.results.push(result);
+      job.account = account.id;
+
+      const scraper = this.createScraper({
+        account,
+        onPhase: (phase) => {
+          job.phase = phase;
+        }
+      });
+
+      try {
+        const scraped = await scraper.run() || [];
+        result.status = 'succeeded';
+        result.bookingsFound = scraped.length;
+        bookings.push(...scraped);
+      } catch (error) {
+        result.status = 'failed';
+        result.phase = job.phase;
+        result.error = error.message;
+        failures.push({ account, error });
+        if (error.code === 'SCRAPE_LOCKED') {
+          break;
+        }
+      }
+
+      job.bookingsFound = bookings.length;
+    }
+
+    if (failures.length === 1 && accounts.length === 1) {
+      throw failures[0].error;
+    }
+    if (failures.length > 0) {
+      const error = new Error(`Scrape failed for ${failures.map(({ account, error: cause }) => `${account.id} (${cause.message})`).join(', ')}`);
+      error.code = failures[0].error.code;
+      throw error;
+    }
+
+    return bookings;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.jobs.values()).reverse();
+  }
+
+  remember(job) {
+    this.jobs.set(job.id, job);
+    while (this.jobs.size > SCRAPE_JOBS.MAX_TRACKED) {
+      this.jobs.delete(this.jobs.keys().next().value);
+    }
+  }
+}
+
+// Shared by the scheduler and the /scrape endpoints so they never run two browsers
+const scrapeJobs = new ScrapeJobManager();
+
+module.exports = {
+  ScrapeJobManager,
+  scrapeJobs
+};
@@ -1,10 +1,22 @@
-const fs = require('fs-extra');
-const path = require('path');
 const { parseBookingsWithLLM } = require('./llm-parser');
 const { extractBookingsSection } = require('./extraction-strategies');
+const { parseBookingsFromDom } = require('./dom-parser');
+const { validateBookings } = require('./booking-validation');
 const { launchBrowser, createPage, closeBrowser, navigateToUrl } = require('../utils/browser-manager');
-const { TIMEOUTS, PATHS, URLS } = require('../config/constants');
+const { TIMEOUTS, URLS, PARSER } = require('../config/constants');
 const { scraperLogger: logger } = require('../utils/logger');
+const { createBookingStore } = require('../storage/booking-store');
+const { createChangeLog, diffBookings } = require('../storage/change-log');
+const { createRunHistory, categorizeFailure } = require('../storage/run-history');
+const { acquireScrapeLock, releaseScrapeLock } = require('../utils/scrape-lock');
+const fs = require('fs-extra');
+const { readCookies, writeCookies, readWebStorage, writeWebStorage, getSessionMode } = require('./session-store');
+const { snapshotWebStorage, restoreWebStorage, detectSessionCarriers } = require('./web-storage');
+const { getImapConfig } = require('./imap-poller');
+const { setAuthState } = require('./auth-state');
+const { getAccounts, getAccount, getDefaultAccount } = require('../config/accounts');
+const { normalizeBookingRooms } = require('../config/rooms');
+const metrics = require('../utils/metrics');
 const {
   findEmailInput,
   submitEmailForm,
@@ -18,18 +30,44 @@ const {
 require('dotenv').config();
 
 class LucidScraper {
-  constructor() {
+  constructor(options = {}) {
     this.browser = null;
     this.page = null;
-    logger.info('LucidScraper initialized');
+    this.phase = null;
+    this.onPhase = options.onPhase || (() => {});
+    this.stats = {};
+    this.account = options.account || getDefaultAccount();
+    this.sessionMode = getSessionMode();
+    this.webStorageScript = null;
+    logger.info('LucidScraper initialized', { account: this.account.id, sessionMode: this.sessionMode });
+  }
+
+  setPhase(phase) {
+    this.phase = phase;
+    logger.debug(`Scrape phase: ${phase}`);
+    this.onPhase(phase);
   }
 
   async init() {
+    this.setPhase('launching');
+    
     try {
-      this.browser = await launchBrowser();
-      this.page = await createPage(this.browser);
-      
-      await this.loadCookies();
+      if (this.sessionMode === 'profile') {
+        // A new profile starts from the saved cookie jar; after that Chrome keeps the session itself
+        const hasProfile = await fs.pathExists(this.account.paths.profile);
+        this.browser = await launchBrowser({ userDataDir: this.account.paths.profile });
+        this.page = await createPage(this.browser);
+        if (!hasProfile) {
+          await this.loadCookies();
+        }
+      } else {
+        this.browser = await launchBrowser();
+        this.page = await createPage(this.browser);
+        await this.loadCookies();
+        if (this.sessionMode === 'storage') {
+          await this.loadWebStorage();
+        }
+      }
       logger.success('Browser initialized successfully');
       
     } catch (error) {
@@ -39,32 +77,107 @@ class LucidScraper {
   }
 
   async loadCookies() {
-    const cookiesPath = path.join(__dirname, '../../', PATHS.COOKIES_FILE);
-    
-    if (await fs.pathExists(cookiesPath)) {
-      try {
-        const cookies = await fs.readJson(cookiesPath);
+    try {
+      const cookies = await readCookies(this.account.paths.cookies, { upgrade: true });
+      if (cookies) {
         await this.page.setCookie(...cookies);
         logger.info(`Loaded ${cookies.length} cookies from previous session`);
-      } catch (error) {
-        logger.warn('Could not load cookies', error);
+      } else {
+        logger.debug('No existing cookies found');
       }
-    } else {
-      logger.debug('No existing cookies found');
+    } catch (error) {
+      logger.warn('Could not load cookies', error);
     }
   }
 
   async saveCookies() {
     try {
       const cookies = await this.page.cookies();
-      const cookiesPath = path.join(__dirname, '../../', PATHS.COOKIES_FILE);
-      await fs.writeJson(cookiesPath, cookies, { spaces: 2 });
+      await writeCookies(cookies, this.account.paths.cookies);
       logger.info(`Saved ${cookies.length} cookies for future sessions`);
     } catch (error) {
       logger.warn('Could not save cookies', error);
     }
   }
 
+  async loadWebStorage() {
+    try {
+      const snapshot = await readWebStorage(this.account.paths.webStorage);
+      if (snapshot) {
+        this.webStorageScript = await restoreWebStorage(this.page, snapshot);
+      } else {
+        logger.debug('No saved web storage found');
+      }
+    } catch (error) {
+      logger.warn('Could not load web storage', error);
+    }
+  }
+
+  async stopRestoringWebStorage() {
+    if (!this.webStorageScript) {
+      return;
+    }
+    try {
+      await this.page.removeScriptToEvaluateOnNewDocument(this.webStorageScript);
+    } catch (error) {
+      logger.debug('Could not remove web storage restore script', { message: error.message });
+    }
+    this.webStorageScript = null;
+  }
+
+  async saveWebStorage() {
+    try {
+      const snapshot = await snapshotWebStorage(this.page);
+      if (snapshot) {
+        await writeWebStorage(snapshot, this.account.paths.webStorage);
+        logger.info('Saved web storage for future sessions', {
+          localStorage: Object.keys(snapshot.localStorage).length,
+          sessionStorage: Object.keys(snapshot.sessionStorage).length
+        });
+      }
+    } catch (error) {
+      logger.warn('Could not save web storage', error);
+    }
+  }
+
+  /**
+   * Persist the session the way SESSION_MODE asks. The cookie jar is kept in
+   * every mode, so a new profile or a mode switch can start from it.
+   */
+  async saveSession() {
+    await this.saveCookies();
+    if (this.sessionMode === 'storage') {
+      await this.saveWebStorage();
+    }
+  }
+
+  /**
+   * Record which storage carries the login (see detectSessionCarriers) in the
+   * run stats, and warn when the current mode doesn't persist it
+   */
+  async reportSessionCarriers() {
+    try {
+      this.stats.session = await detectSessionCarriers(this.page, this.sessionMode);
+      const { carriers } = this.stats.session;
+      logger.info(`Session carried by: ${carriers.length > 0 ? carriers.join(', ') : 'none found'}`, { mode: this.sessionMode });
+
+      // Chrome doesn't keep sessionStorage across launches, even in a persistent profile
+      const persisted = {
+        cookies: ['cookies'],
+        storage: ['cookies', 'localStorage', 'sessionStorage'],
+        profile: ['cookies', 'localStorage', 'indexedDB']
+      }[this.sessionMode];
+      const missed = carriers.filter(carrier => !persisted.includes(carrier));
+      if (missed.length > 0) {
+        logger.warn(`The session lives in ${missed.join(', ')}, which SESSION_MODE=${this.sessionMode} does not keep`, {
+          suggestion: missed.includes('indexedDB') ? 'SESSION_MODE=profile' : 'SESSION_MODE=storage'
+        });
+      }
+    } catch (error) {
+      logger.warn('Could not determine where the session is stored', { message: error.message });
+    }
+  }
+
   async checkIfLoggedIn() {
     logger.progress('Checking if already logged in');
     
@@ -100,9 +213,9 @@ class LucidScraper {
       // Wait for page to load
       await new Promise(resolve => setTimeout(resolve, TIMEOUTS.PAGE_LOAD_WAIT));
       
-      const email = process.env.LUCID_EMAIL;
+      const email = this.account.email;
       if (!email) {
-        throw new Error('LUCID_EMAIL environment variable is required');
+        throw new Error(`No email configured for account "${this.account.id}" (set LUCID_EMAIL or the account's "email" in config.json)`);
       }
       
       // Find email input
@@ -111,13 +224,32 @@ class LucidScraper {
         throw new Error('Could not find email input field on login page');
       }
       
-      // Submit email form
+      // Submit email form (remembering when, so older login emails are ignored)
+      const emailSentAt = new Date();
       await submitEmailForm(this.page, email, emailInput.selector);
+      setAuthState(this.account.id, 'email-submitted');
       
       // Wait for magic link
-      const magicLinkUrl = await waitForMagicLink();
+      this.setPhase('awaiting-magic-link');
+      setAuthState(this.account.id, 'awaiting-link', { deadline: Date.now() + TIMEOUTS.MAGIC_LINK_WAIT });
+      const stopWaitTimer = metrics.magicLinkWaits.startTimer();
+      let magicLinkUrl;
+      try {
+        magicLinkUrl = await waitForMagicLink(this.account.paths.loginUrl, {
+          accountId: this.account.id,
+          recipient: email,
+          imapConfig: getImapConfig(this.account.imap),
+          since: emailSentAt
+        });
+        stopWaitTimer({ outcome: 'received' });
+      } catch (error) {
+        stopWaitTimer({ outcome: 'timeout' });
+        throw error;
+      }
       
       // Process magic link
+      this.setPhase('authenticating');
+      setAuthState(this.account.id, 'verifying');
       const success = await processMagicLink(this.page, magicLinkUrl);
       
       if (!success) {
@@ -125,31 +257,43 @@ class LucidScraper {
       }
       
       // Clean up the magic link file
-      await cleanupMagicLink();
+      await cleanupMagicLink(this.account.paths.loginUrl);
       
-      // Save cookies for future sessions
-      await this.saveCookies();
+      // Save the session for future runs
+      await this.saveSession();
       
       logger.success('Login completed successfully');
+      setAuthState(this.account.id, 'succeeded');
+      metrics.loginAttempts.inc({ result: 'success' });
       return true;
       
     } catch (error) {
       logger.error('Login process failed', error);
+      setAuthState(this.account.id, 'failed', { error: error.message });
+      metrics.loginAttempts.inc({ result: 'failure' });
       throw error;
     }
   }
 
   async ensureAuthenticated() {
+    this.setPhase('authenticating');
     const isLoggedIn = await this.checkIfLoggedIn();
+    await this.stopRestoringWebStorage();
+    this.stats.authentication = isLoggedIn ? 'session-reused' : 'magic-link';
     
     if (!isLoggedIn) {
       await this.performLogin();
+    } else if (this.sessionMode === 'storage') {
+      // Keep tokens the app refreshed while loading
+      await this.saveWebStorage();
     }
     
+    await this.reportSessionCarriers();
     return true;
   }
 
   async scrapeBookings() {
+    this.setPhase('extracting');
     logger.progress('Navigating to bookings page');
     
     try {
@@ -186,8 +330,15 @@ class LucidScraper {
       // Try to extract only the bookings section first
       const bookingsSection = await extractBookingsSection(this.page);
       
+      const fullPageSize = (await this.page.content()).length;
+      this.stats.extraction = {
+        method: bookingsSection ? bookingsSection.method : 'full-page',
+        fullPageSize,
+        originalSize: bookingsSection ? bookingsSection.originalSize : fullPageSize,
+        cleanedSize: bookingsSection ? bookingsSection.cleanedSize : fullPageSize
+      };
+      
       if (bookingsSection) {
-        const fullPageSize = (await this.page.content()).length;
         const reduction = ((fullPageSize - bookingsSection.cleanedSize) / fullPageSize * 100).toFixed(1);
         logger.success(`Using optimized bookings section (${reduction}% size reduction)`, {
           fullPageSize,
@@ -210,6 +361,78 @@ class LucidScraper {
     }
   }
 
+  getParserMode() {
+    const mode = process.env.PARSER_MODE || PARSER.DEFAULT_MODE;
+    if (!PARSER.MODES.includes(mode)) {
+      logger.warn(`Unknown PARSER_MODE "${mode}", using ${PARSER.DEFAULT_MODE}`);
+      return PARSER.DEFAULT_MODE;
+    }
+    return mode;
+  }
+
+  /**
+   * Parse the bookings page. `complete` is false when the parser rejected some
+   * bookings, so missing bookings can't be taken as cancelled.
+   *
+   * @returns {Promise<{bookings: object[], complete: boolean}>}
+   */
+  async parseBookings(html) {
+    this.setPhase('parsing');
+    const mode = this.getParserMode();
+    logger.info(`Parsing bookings (mode: ${mode})`);
+    
+    if (mode === 'llm') {
+      return await this.parseWithLLM(html);
+    }
+    
+    const domBookings = await parseBookingsFromDom(this.page);
+    const problems = validateBookings(domBookings);
+    
+    if (domBookings.length > 0 && problems.length === 0) {
+      logger.success(`DOM parser extracted ${domBookings.length} valid bookings`);
+      this.stats.parser = 'dom';
+      return { bookings: domBookings, complete: true };
+    }
+    
+    if (problems.length > 0) {
+      logger.warn(`DOM parser produced ${problems.length} invalid bookings`, { problems });
+    }
+    
+    if (mode === 'dom') {
+      this.stats.parser = 'dom';
+      const invalid = new Set(problems.map(problem => problem.index));
+      // No cards can also mean the page layout changed, so an empty DOM
+      // result never cancels bookings
+      return {
+        bookings: domBookings.filter((booking, index) => !invalid.has(index)),
+        complete: domBookings.length > 0 && problems.length === 0
+      };
+    }
+    
+    logger.info('Falling back to LLM parser');
+    return await this.parseWithLLM(html);
+  }
+
+  async parseWithLLM(html) {
+    this.stats.parser = 'llm';
+    this.stats.llm = {};
+    return await parseBookingsWithLLM(html, this.stats.llm);
+  }
+
+  async recordChanges(previousBookings, currentBookings, hasBaseline) {
+    if (!hasBaseline) {
+      logger.info('First scrape recorded, change detection starts from the next run');
+      return;
+    }
+    
+    try {
+      const changes = diffBookings(previousBookings, currentBookings);
+      await createChangeLog(this.account.paths.changes).record(changes);
+    } catch (error) {
+      logger.warn('Could not record booking changes', error);
+    }
+  }
+
   async close() {
     try {
       await closeBrowser(this.browser, this.page);
@@ -218,53 +441,102 @@ class LucidScraper {
     }
   }
 
+  async recordRun(startedAt, outcome, bookingCount, error = null) {
+    const finishedAt = new Date();
+    metrics.scrapeRuns.inc({ outcome });
+    metrics.scrapeDuration.observe({ outcome }, (finishedAt - startedAt) / 1000);
+    
+    await createRunHistory().record({
+      account: this.account.id,
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt,
+      outcome,
+      failureCategory: error ? categorizeFailure(error, this.phase) : null,
+      error: error ? error.message : null,
+      phase: this.phase,
+      bookingCount,
+      ...this.stats
+    });
+  }
+
   async run() {
+    const startedAt = new Date();
+    
+    try {
+      await acquireScrapeLock();
+    } catch (error) {
+      await this.recordRun(startedAt, 'failure', 0, error);
+      throw error;
+    }
+    
     try {
       await this.init();
       await this.ensureAuthenticated();
       
       const html = await this.scrapeBookings();
-      const bookings = await parseBookingsWithLLM(html);
+      const parsed = await this.parseBookings(html);
+      const parsedBookings = normalizeBookingRooms(parsed.bookings);
+      this.stats.complete = parsed.complete;
       
-      if (bookings && bookings.length > 0) {
-        const dataDir = path.join(__dirname, '../../data');
-        await fs.ensureDir(dataDir);
+      // An empty result is only saved when the parser vouches for it, so
+      // bookings cancelled on Lucid drop out of the feed
+      if (parsedBookings.length > 0 || parsed.complete) {
+        this.setPhase('saving');
+        const store = createBookingStore(this.account.paths.bookings);
+        const previousData = await store.load();
+        const updatedData = await store.recordScrape(parsedBookings, { complete: parsed.complete });
         
-        const bookingsData = {
-          bookings,
-          lastUpdated: new Date().toISOString()
-        };
+        await this.recordChanges(store.getLastScrape(previousData), store.getLastScrape(updatedData), !!previousData.lastUpdated);
         
-        const outputPath = path.join(__dirname, '../../', PATHS.BOOKINGS_DATA);
-        await fs.writeJson(outputPath, bookingsData, { spaces: 2 });
-        
-        logger.success(`Successfully scraped ${bookings.length} bookings and saved to ${outputPath}`);
-      } else {
-        logger.warn('No bookings found or parsing failed');
+        logger.success(`Successfully scraped ${parsedBookings.length} bookings and saved to ${store.filePath}`);
+        await this.recordRun(startedAt, 'success', parsedBookings.length);
+        return parsedBookings;
       }
       
-      return bookings;
+      logger.warn('No bookings found or parsing failed');
+      await this.recordRun(startedAt, 'empty', 0);
+      return parsedBookings;
       
     } catch (error) {
       logger.error('Scraping failed', error);
+      await this.recordRun(startedAt, 'failure', 0, error);
       throw error;
     } finally {
       await this.close();
+      await releaseScrapeLock();
     }
   }
 }
 
-// Run scraper if this file is executed directly
+// Run scraper if this file is executed directly: `npm run scrape [-- <account>]`
 if (require.main === module) {
-  const scraper = new LucidScraper();
-  scraper.run()
-    .then(() => {
+  const accountId = process.argv[2];
+  const accounts = accountId ? [getAccount(accountId)].filter(Boolean) : getAccounts();
+
+  if (accounts.length === 0) {
+    logger.error(`Unknown account "${accountId}"`);
+    process.exit(1);
+  }
+
+  (async () => {
+    let failures = 0;
+    for (const account of accounts) {
+      try {
+        await new LucidScraper({ account }).run();
+      } catch (error) {
+        failures++;
+        logger.error(`Scraping failed for account "${account.id}"`, error);
+      }
+    }
+    return failures;
+  })()
+    .then((failures) => {
+      if (failures > 0) {
+        process.exit(1);
+      }
       logger.success('Scraping completed successfully');
       process.exit(0);
-    })
-    .catch((error) => {
-      logger.error('Scraping failed', error);
-      process.exit(1);
     });
 }
 
@@ -0,0 +1,312 @@
+// Persistence of the authenticated Lucid session: the cookie jar and, in the
+// "storage" session mode, a snapshot of the Lucid origin's web storage. With a
+// session key configured both are encrypted at rest with AES-256-GCM;
+// plaintext files from before are still read and get encrypted when next written.
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { PATHS, URLS, SESSION } = require('../config/constants');
+const { createLogger } = require('../utils/logger');
+const { writeJsonAtomic } = require('../utils/json-file');
+const { memoizeLatest } = require('../utils/memoize');
+
+const logger = createLogger('SESSION');
+
+const defaultCookiesPath = path.join(__dirname, '../../', PATHS.COOKIES_FILE);
+
+/**
+ * 32-byte key from 64 hex characters or base64 (e.g. `openssl rand -base64 32`)
+ */
+function parseKey(value, source) {
+  const text = String(value).trim();
+  const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+  if (key.length !== SESSION.KEY_BYTES) {
+    throw new Error(`${source} must be ${SESSION.KEY_BYTES} bytes, given as hex or base64 (try: openssl rand -base64 32)`);
+  }
+  return {
+    id: crypto.createHash('sha256').update(key).digest('hex').slice(0, 8),
+    key
+  };
+}
+
+/**
+ * Session keys: SESSION_KEY, or the first line of SESSION_KEY_FILE, encrypts;
+ * SESSION_KEY_PREVIOUS (comma-separated) and further lines of the key file
+ * only decrypt, so a key can be rotated without losing the saved session
+ */
+function resolveSessionKeys({ SESSION_KEY, SESSION_KEY_FILE, SESSION_KEY_PREVIOUS }) {
+  const keys = [];
+  if (SESSION_KEY) {
+    keys.push(parseKey(SESSION_KEY, 'SESSION_KEY'));
+  }
+  if (SESSION_KEY_FILE) {
+    fs.readFileSync(SESSION_KEY_FILE, 'utf8').split(/\r?\n/)
+      .filter(line => line.trim() && !line.trim().startsWith('#'))
+      .forEach((line, index) => keys.push(parseKey(line, `Line ${index + 1} of ${SESSION_KEY_FILE}`)));
+  }
+  String(SESSION_KEY_PREVIOUS || '').split(',')
+    .filter(value => value.trim())
+    .forEach(value => keys.push(parseKey(value, 'SESSION_KEY_PREVIOUS')));
+
+  return { current: keys[0] || null, all: keys };
+}
+
+// Resolved again only when one of the key variables changes
+const resolveCachedSessionKeys = memoizeLatest(source => resolveSessionKeys(JSON.parse(source)));
+
+/**
+ * @returns {{current: object|null, all: object[]}}
+ */
+function getSessionKeys() {
+  const { SESSION_KEY, SESSION_KEY_FILE, SESSION_KEY_PREVIOUS } = process.env;
+  return resolveCachedSessionKeys(JSON.stringify({ SESSION_KEY, SESSION_KEY_FILE, SESSION_KEY_PREVIOUS }));
+}
+
+function encryptJar(cookies, { id, key }) {
+  const iv = crypto.randomBytes(SESSION.IV_BYTES);
+  const cipher = crypto.createCipheriv(SESSION.CIPHER, key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(cookies), 'utf8'), cipher.final()]);
+
+  return {
+    version: SESSION.FORMAT_VERSION,
+    encrypted: true,
+    cipher: SESSION.CIPHER,
+    keyId: id,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decryptJar(envelope, keys) {
+  const key = keys.find(candidate => candidate.id === envelope.keyId);
+  if (!key) {
+    throw new Error(`no configured session key matches key id ${envelope.keyId}`);
+  }
+
+  const decipher = crypto.createDecipheriv(SESSION.CIPHER, key.key, Buffer.from(envelope.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  const json = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf8');
+  return JSON.parse(json);
+}
+
+/**
+ * Read a session file, decrypting it when needed. Anything missing, corrupt,
+ * undecryptable or failing `isValid` reads as a null value.
+ *
+ * @returns {Promise<{value: any, encrypted: boolean, keyId: string|null}>}
+ */
+async function readSessionFile(filePath, isValid) {
+  const empty = { value: null, encrypted: false, keyId: null };
+  if (!(await fs.pathExists(filePath))) {
+    return empty;
+  }
+
+  let content;
+  try {
+    content = await fs.readJson(filePath);
+  } catch (error) {
+    logger.warn('Saved session is corrupt, a fresh login will be needed', { file: filePath, message: error.message });
+    return empty;
+  }
+
+  if (content && content.encrypted === true) {
+    try {
+      const value = decryptJar(content, getSessionKeys().all);
+      if (!isValid(value)) {
+        throw new Error('decrypted content has an unexpected format');
+      }
+      return { value, encrypted: true, keyId: content.keyId };
+    } catch (error) {
+      logger.warn('Saved session could not be decrypted, a fresh login will be needed', { file: filePath, message: error.message });
+      return { ...empty, encrypted: true, keyId: content.keyId || null };
+    }
+  }
+
+  if (!isValid(content)) {
+    logger.warn('Saved session has an unknown format, a fresh login will be needed', { file: filePath });
+    return empty;
+  }
+  return { value: content, encrypted: false, keyId: null };
+}
+
+async function writeSessionFile(value, filePath) {
+  const { current } = getSessionKeys();
+  if (!current) {
+    logger.warn('No SESSION_KEY or SESSION_KEY_FILE set, saving the session unencrypted', { file: path.basename(filePath) });
+  }
+
+  await writeJsonAtomic(filePath, current ? encryptJar(value, current) : value, { mode: 0o600 });
+}
+
+/**
+ * Read the cookie jar and how it is stored. A missing, corrupt or
+ * undecryptable jar reads as no cookies, so the scraper logs in afresh.
+ *
+ * @returns {Promise<{cookies: object[]|null, encrypted: boolean, keyId: string|null}>}
+ */
+async function readCookieJar(cookiesPath = defaultCookiesPath) {
+  const { value, ...jar } = await readSessionFile(cookiesPath, Array.isArray);
+  return { cookies: value, ...jar };
+}
+
+/**
+ * Read the saved cookie jar, or null when there is none (or it can't be
+ * read). With `upgrade`, a jar not encrypted with the current key is
+ * rewritten with it.
+ */
+async function readCookies(cookiesPath = defaultCookiesPath, { upgrade = false } = {}) {
+  const jar = await readCookieJar(cookiesPath);
+  const { current } = getSessionKeys();
+
+  if (upgrade && jar.cookies && current && jar.keyId !== current.id) {
+    await writeCookies(jar.cookies, cookiesPath);
+    logger.info(jar.encrypted ? 'Re-encrypted saved session with the current key' : 'Encrypted saved session', { keyId: current.id });
+  }
+
+  return jar.cookies;
+}
+
+async function writeCookies(cookies, cookiesPath = defaultCookiesPath) {
+  await writeSessionFile(cookies, cookiesPath);
+}
+
+function isWebStorageSnapshot(value) {
+  return !!value && typeof value === 'object' && typeof value.origin === 'string' &&
+    typeof value.localStorage === 'object' && typeof value.sessionStorage === 'object';
+}
+
+/**
+ * Read a web storage snapshot ({ origin, savedAt, localStorage, sessionStorage }), or null
+ */
+async function readWebStorage(filePath) {
+  return (await readSessionFile(filePath, isWebStorageSnapshot)).value;
+}
+
+async function writeWebStorage(snapshot, filePath) {
+  await writeSessionFile(snapshot, filePath);
+}
+
+/**
+ * What is persisted between runs, from SESSION_MODE (see SESSION.MODES)
+ */
+function getSessionMode() {
+  const mode = (process.env.SESSION_MODE || SESSION.DEFAULT_MODE).trim().toLowerCase();
+  if (!SESSION.MODES.includes(mode)) {
+    logger.warn(`Unknown SESSION_MODE "${mode}", using "${SESSION.DEFAULT_MODE}"`, { modes: SESSION.MODES });
+    return SESSION.DEFAULT_MODE;
+  }
+  return mode;
+}
+
+/**
+ * Describe the saved session without exposing cookie values
+ */
+function summarizeCookies(cookies, now = new Date()) {
+  if (!cookies || cookies.length === 0) {
+    return { hasCookies: false, cookieCount: 0, expiresAt: null, expired: null };
+  }
+
+  const lucidHost = new URL(URLS.BASE).hostname;
+  const lucidCookies = cookies.filter(cookie => lucidHost.endsWith(String(cookie.domain || '').replace(/^\./, '')));
+  const expiries = lucidCookies
+    .map(cookie => cookie.expires)
+    .filter(expires => typeof expires === 'number' && expires > 0);
+
+  // Session cookies (no expiry) live as long as the saved jar does
+  const expiresAt = expiries.length > 0 ? new Date(Math.max(...expiries) * 1000) : null;
+
+  return {
+    hasCookies: true,
+    cookieCount: cookies.length,
+    expiresAt: expiresAt ? expiresAt.toISOString() : null,
+    expired: expiresAt ? expiresAt <= now : false
+  };
+}
+
+// Inspect or re-encrypt saved sessions: `npm run session -- <inspect|rotate> [account]`
+if (require.main === module) {
+  require('dotenv').config();
+  const { getAccounts, getAccount } = require('../config/accounts');
+  const [command, accountId] = process.argv.slice(2);
+
+  const selectAccounts = () => {
+    if (!accountId) {
+      return getAccounts();
+    }
+    const account = getAccount(accountId);
+    if (!account) {
+      throw new Error(`Unknown account "${accountId}", expected one of: ${getAccounts().map(entry => entry.id).join(', ')}`);
+    }
+    return [account];
+  };
+
+  const commands = {
+    // Cookie names, domains and expiry dates; never the values
+    async inspect() {
+      const now = new Date();
+      for (const account of selectAccounts()) {
+        const jar = await readCookieJar(account.paths.cookies);
+        logger.info(`Account ${account.id}`, {
+          file: account.paths.cookies,
+          encrypted: jar.encrypted,
+          keyId: jar.keyId,
+          ...summarizeCookies(jar.cookies, now)
+        });
+        (jar.cookies || []).forEach(cookie => {
+          const expires = typeof cookie.expires === 'number' && cookie.expires > 0 ? new Date(cookie.expires * 1000) : null;
+          logger.info(`  ${cookie.name}  ${cookie.domain}`, {
+            expires: expires ? expires.toISOString() : 'session',
+            expired: expires ? expires <= now : false
+          });
+        });
+      }
+    },
+
+    // Encrypt every readable cookie jar and web storage snapshot with the current key
+    async rotate() {
+      const { current } = getSessionKeys();
+      if (!current) {
+        throw new Error('Set SESSION_KEY or SESSION_KEY_FILE to the key to encrypt with');
+      }
+      for (const account of selectAccounts()) {
+        const jar = await readCookieJar(account.paths.cookies);
+        if (!jar.cookies) {
+          logger.warn(`No readable session for ${account.id}, skipping`);
+          continue;
+        }
+        await writeCookies(jar.cookies, account.paths.cookies);
+        logger.success(`Encrypted session of ${account.id} with key ${current.id}`, { previousKeyId: jar.keyId });
+
+        const storage = await readSessionFile(account.paths.webStorage, isWebStorageSnapshot);
+        if (storage.value) {
+          await writeWebStorage(storage.value, account.paths.webStorage);
+          logger.success(`Encrypted web storage of ${account.id} with key ${current.id}`, { previousKeyId: storage.keyId });
+        }
+      }
+    }
+  };
+
+  if (!Object.hasOwn(commands, command || '')) {
+    logger.error('Usage: npm run session -- inspect [account] | rotate [account]');
+    process.exit(1);
+  }
+
+  commands[command]()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logger.error(error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  readCookies,
+  readCookieJar,
+  writeCookies,
+  readWebStorage,
+  writeWebStorage,
+  getSessionMode,
+  summarizeCookies
+};
@@ -0,0 +1,111 @@
+// Web storage of the Lucid origin: snapshotting localStorage/sessionStorage
+// for the "storage" session mode, and reporting where the login actually
+// lives (cookies, web storage or IndexedDB) so the right mode can be picked.
+
+const { URLS, SESSION } = require('../config/constants');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('SESSION');
+
+const lucidOrigin = new URL(URLS.BASE).origin;
+
+/**
+ * Copy the page's localStorage and sessionStorage, or null when the page is
+ * not on the Lucid origin (storage is per origin)
+ *
+ * @returns {Promise<{origin: string, savedAt: string, localStorage: object, sessionStorage: object}|null>}
+ */
+async function snapshotWebStorage(page) {
+  const snapshot = await page.evaluate(() => {
+    const copy = (storage) => Object.fromEntries(
+      Array.from({ length: storage.length }, (_, index) => storage.key(index))
+        .map(key => [key, storage.getItem(key)])
+    );
+    return {
+      origin: window.location.origin,
+      localStorage: copy(window.localStorage),
+      sessionStorage: copy(window.sessionStorage)
+    };
+  });
+
+  if (snapshot.origin !== lucidOrigin) {
+    logger.debug('Not on the Lucid origin, web storage not saved', { origin: snapshot.origin });
+    return null;
+  }
+  return { ...snapshot, savedAt: new Date().toISOString() };
+}
+
+/**
+ * Put a snapshot back before the Lucid app's own scripts run on the next page
+ * load. Returns the script identifier; remove it with
+ * `page.removeScriptToEvaluateOnNewDocument` once the session is checked, so
+ * later navigations don't overwrite tokens the app has refreshed.
+ */
+async function restoreWebStorage(page, snapshot) {
+  const { identifier } = await page.evaluateOnNewDocument((saved) => {
+    if (window.location.origin !== saved.origin) {
+      return;
+    }
+    for (const [area, entries] of [['localStorage', saved.localStorage], ['sessionStorage', saved.sessionStorage]]) {
+      for (const [key, value] of Object.entries(entries)) {
+        window[area].setItem(key, value);
+      }
+    }
+  }, snapshot);
+
+  logger.info('Restoring web storage from previous session', {
+    localStorage: Object.keys(snapshot.localStorage).length,
+    sessionStorage: Object.keys(snapshot.sessionStorage).length,
+    savedAt: snapshot.savedAt
+  });
+  return identifier;
+}
+
+/**
+ * Report which storage carries the logged-in session: cookies that look like
+ * auth cookies (or are HttpOnly), and localStorage, sessionStorage and
+ * IndexedDB entries whose names match SESSION.AUTH_KEY_PATTERN. Only names are
+ * reported, never values.
+ *
+ * @returns {Promise<{mode: string, carriers: string[], cookies: string[], localStorage: string[], sessionStorage: string[], indexedDB: string[]}>}
+ */
+async function detectSessionCarriers(page, mode) {
+  const pattern = SESSION.AUTH_KEY_PATTERN;
+  const cookies = (await page.cookies(URLS.BASE))
+    .filter(cookie => cookie.httpOnly || pattern.test(cookie.name))
+    .map(cookie => cookie.name);
+
+  const storage = await page.evaluate(async (source, flags, origin) => {
+    if (window.location.origin !== origin) {
+      return null;
+    }
+    const matches = new RegExp(source, flags);
+    const keys = (area) => Array.from({ length: area.length }, (_, index) => area.key(index)).filter(key => matches.test(key));
+
+    let databases = [];
+    try {
+      databases = (await window.indexedDB.databases()).map(database => database.name).filter(Boolean);
+    } catch (error) {
+      // indexedDB.databases() is missing in some browsers; report none
+    }
+
+    return {
+      localStorage: keys(window.localStorage),
+      sessionStorage: keys(window.sessionStorage),
+      indexedDB: databases.filter(name => matches.test(name))
+    };
+  }, pattern.source, pattern.flags, lucidOrigin) || { localStorage: [], sessionStorage: [], indexedDB: [] };
+
+  const found = { cookies, ...storage };
+  return {
+    mode,
+    carriers: Object.keys(found).filter(carrier => found[carrier].length > 0),
+    ...found
+  };
+}
+
+module.exports = {
+  snapshotWebStorage,
+  restoreWebStorage,
+  detectSessionCarriers
+};
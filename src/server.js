@@ -1,15 +1,43 @@
 const express = require('express');
-const path = require('path');
-const fs = require('fs-extra');
-const { handleCalendarRequest } = require('./api/calendar');
-const { PATHS, SERVER } = require('./config/constants');
+const { handleCalendarRequest, handleAccountCalendarRequest } = require('./api/calendar');
+const { handleChangesRequest } = require('./api/changes');
+const {
+  handleBookingsRequest,
+  handleBookingsCsvRequest,
+  handleBookingsSummaryRequest
+} = require('./api/bookings');
+const { handleStartScrape, handleScrapeStatus } = require('./api/scrape');
+const { handleStatusRequest } = require('./api/status');
+const {
+  handleTokenCalendarRequest,
+  handleListFeedTokens,
+  handleCreateFeedToken,
+  handleRevokeFeedToken
+} = require('./api/feed-tokens');
+const { handleLoginForm, handleLoginSubmit, handleLoginEvents, loginRateLimiter } = require('./api/login');
+const { handleInboundEmail } = require('./api/inbound-email');
+const { handleMetricsRequest } = require('./utils/metrics');
+const { SERVER, INBOUND_EMAIL } = require('./config/constants');
+const { getAccounts } = require('./config/accounts');
 const { serverLogger: logger } = require('./utils/logger');
+const { getBookingTimeZone, isValidTimeZone } = require('./utils/timezone');
+const { createScrapeScheduler } = require('./scraper/scheduler');
+const { enableInProcessHandoff } = require('./scraper/auth-state');
 
 // Load environment variables
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || SERVER.DEFAULT_PORT;
+const scheduler = createScrapeScheduler();
+app.locals.scheduler = scheduler;
+
+// Scrapes started by this server receive pasted magic links directly
+enableInProcessHandoff();
+
+// Inbound email webhook: checks a signature over the raw body, so it is
+// registered ahead of the body parsers and Basic auth
+app.post('/inbound-email', express.raw({ type: () => true, limit: INBOUND_EMAIL.MAX_BODY_SIZE }), handleInboundEmail);
 
 // Middleware
 app.use(express.json());
@@ -51,7 +79,10 @@ const httpAuth = (req, res, next) => {
   next();
 };
 
-// Apply authentication to all routes
+// Secret-token calendar feeds carry their own credential, so they sit in front of Basic auth
+app.get('/calendar/:token.ics', handleTokenCalendarRequest);
+
+// Apply authentication to all other routes
 app.use(httpAuth);
 
 // Health check endpoint
@@ -61,54 +92,53 @@ app.get('/', (req, res) => {
     service: 'Lucid Private Offices ICS Server',
     endpoints: {
       calendar: '/calendar.ics',
+      calendars: '/calendars/:account.ics',
+      feedTokens: '/feed-tokens',
+      bookings: '/bookings',
+      bookingsCsv: '/bookings.csv',
+      bookingsSummary: '/bookings/summary',
+      changes: '/changes',
+      scrape: '/scrape',
+      inboundEmail: '/inbound-email',
+      status: '/status',
+      metrics: '/metrics',
       login: '/login',
       health: '/'
     }
   });
 });
 
-// Login form for pasting magic link URL
-app.get('/login', async (req, res) => {
-  try {
-    const loginFormPath = path.join(__dirname, 'templates/login-form.html');
-    const htmlContent = await fs.readFile(loginFormPath, 'utf-8');
-    res.send(htmlContent);
-  } catch (error) {
-    logger.error('Error loading login form template', error);
-    res.status(500).send('Error loading login form');
-  }
-});
+// Login form for pasting magic link URLs, and its submission
+app.get('/login', handleLoginForm);
+app.post('/login', loginRateLimiter, handleLoginSubmit);
+app.get('/login/events', handleLoginEvents);
 
+// Calendar ICS endpoints
+app.get('/calendar.ics', handleCalendarRequest);
+app.get('/calendars/:account.ics', handleAccountCalendarRequest);
 
-// Handle login URL submission
-app.post('/login', async (req, res) => {
-  try {
-    const { loginUrl } = req.body;
-    
-    if (!loginUrl || !loginUrl.startsWith('http')) {
-      logger.warn('Invalid URL provided in login request', { loginUrl });
-      return res.status(400).json({ error: 'Invalid URL provided' });
-    }
-    
-    // Save the URL to file for the scraper to pick up
-    const loginUrlFile = path.join(__dirname, '../', PATHS.LOGIN_URL_FILE);
-    await fs.writeFile(loginUrlFile, loginUrl);
-    
-    logger.success('Login URL received and saved');
-    
-    res.json({ 
-      success: true, 
-      message: 'Login URL saved successfully. The scraper will use this to authenticate.' 
-    });
-    
-  } catch (error) {
-    logger.error('Error saving login URL', error);
-    res.status(500).json({ error: 'Failed to save login URL' });
-  }
-});
+// Scraper run history, data age and session health
+app.get('/status', handleStatusRequest);
 
-// Calendar ICS endpoint
-app.get('/calendar.ics', handleCalendarRequest);
+// Prometheus metrics
+app.get('/metrics', handleMetricsRequest);
+
+// Feed token administration
+app.get('/feed-tokens', handleListFeedTokens);
+app.post('/feed-tokens', handleCreateFeedToken);
+app.delete('/feed-tokens/:id', handleRevokeFeedToken);
+
+// Booking export
+app.get('/bookings', handleBookingsRequest);
+app.get('/bookings.csv', handleBookingsCsvRequest);
+app.get('/bookings/summary', handleBookingsSummaryRequest);
+
+// Booking changes between scrapes
+app.get('/changes', handleChangesRequest);
+
+// On-demand scrape jobs
+app.post('/scrape', handleStartScrape);
+app.get('/scrape/:id', handleScrapeStatus);
 
 // Error handling middleware
 app.use((error, req, res, next) => {
@@ -124,12 +154,22 @@ app.use((req, res) => {
 
 app.listen(PORT, () => {
   logger.success(`Lucid ICS Server running on port ${PORT}`);
+  if (!isValidTimeZone(getBookingTimeZone())) {
+    logger.warn('BOOKING_TIMEZONE is not a valid IANA timezone, calendar generation will fail', { timezone: getBookingTimeZone() });
+  }
   logger.info('Available endpoints:', {
     calendar: `http://localhost:${PORT}/calendar.ics`,
+    accounts: getAccounts().map(account => `http://localhost:${PORT}/calendars/${account.id}.ics`),
+    changes: `http://localhost:${PORT}/changes`,
+    status: `http://localhost:${PORT}/status`,
+    metrics: `http://localhost:${PORT}/metrics`,
     login: `http://localhost:${PORT}/login`,
     health: `http://localhost:${PORT}/`
   });
-  logger.info('💡 Run \'npm run scrape\' to update bookings data');
+  scheduler.start();
+  if (!scheduler.config.enabled) {
+    logger.info('💡 Run \'npm run scrape\' to update bookings data');
+  }
 });
 
 module.exports = app;
\ No newline at end of file
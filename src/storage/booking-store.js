@@ -0,0 +1,192 @@
+// Accumulated booking history, merged from every scrape
+
+const fs = require('fs-extra');
+const path = require('path');
+const { PATHS, HISTORY, CALENDAR } = require('../config/constants');
+const { createLogger } = require('../utils/logger');
+const { writeJsonAtomic } = require('../utils/json-file');
+const { getBookingUid, trackBookingRevisions } = require('../utils/booking-identity');
+const { hasBookingEnded } = require('../utils/timezone');
+
+const logger = createLogger('STORE');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function compareBookings(a, b) {
+  return `${a.date} ${a.startTime}`.localeCompare(`${b.date} ${b.startTime}`);
+}
+
+/**
+ * Retention window in days, or null to keep history forever
+ */
+function getRetentionDays() {
+  const configured = parseInt(process.env.BOOKING_RETENTION_DAYS, 10);
+  if (Number.isNaN(configured) || configured <= 0) {
+    return HISTORY.RETENTION_DAYS;
+  }
+  return configured;
+}
+
+class BookingStore {
+  constructor(filePath = path.join(__dirname, '../../', PATHS.BOOKINGS_DATA)) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Read the store. Records written before history tracking get their
+   * identity and first/last seen timestamps filled in.
+   */
+  async load() {
+    try {
+      if (await fs.pathExists(this.filePath)) {
+        const data = await fs.readJson(this.filePath);
+        const fallbackSeen = data.lastUpdated || null;
+        const bookings = (data.bookings || []).map(booking => ({
+          ...booking,
+          uid: booking.uid || getBookingUid(booking),
+          firstSeen: booking.firstSeen || booking.created || fallbackSeen,
+          lastSeen: booking.lastSeen || fallbackSeen
+        }));
+        return { ...data, bookings };
+      }
+    } catch (error) {
+      logger.error('Error reading booking store', error);
+    }
+
+    return { bookings: [], lastUpdated: null };
+  }
+
+  async save(data) {
+    await writeJsonAtomic(this.filePath, data);
+  }
+
+  async getBookings() {
+    const data = await this.load();
+    return data.bookings;
+  }
+
+  /**
+   * Bookings that were on the page at the most recent scrape
+   */
+  getLastScrape(data) {
+    if (!data.lastUpdated) {
+      return [];
+    }
+    return data.bookings.filter(booking => booking.lastSeen === data.lastUpdated);
+  }
+
+  /**
+   * Merge a fresh scrape into the accumulated history. Bookings no longer on
+   * the page are kept; bookings seen again have their revision carried over.
+   * Upcoming bookings missing from a complete scrape are marked cancelled.
+   * When the parser rejected some bookings (`complete: false`) a missing
+   * booking may just have failed to parse, so it counts as still there.
+   */
+  async recordScrape(scrapedBookings, { complete = true } = {}, now = new Date()) {
+    const timestamp = now.toISOString();
+    const data = await this.load();
+
+    const byUid = new Map(data.bookings.map(booking => [booking.uid, booking]));
+    const tracked = trackBookingRevisions(scrapedBookings, data.bookings, now);
+
+    const lastScrapeUids = new Set(this.getLastScrape(data).map(booking => booking.uid));
+    const scrapedUids = new Set(tracked.map(booking => booking.uid));
+
+    for (const booking of tracked) {
+      const previous = byUid.get(booking.uid);
+      const reinstated = previous?.status === 'cancelled';
+      byUid.set(booking.uid, {
+        ...booking,
+        ...(reinstated && {
+          sequence: Math.max(booking.sequence, previous.sequence || 0) + 1,
+          lastModified: timestamp
+        }),
+        firstSeen: previous?.firstSeen || timestamp,
+        lastSeen: timestamp
+      });
+      if (reinstated) {
+        logger.info('Cancelled booking is back on Lucid, reinstating', { uid: booking.uid });
+      }
+    }
+
+    // Upcoming bookings that vanished since the last scrape were cancelled on Lucid
+    let cancelled = 0;
+    let carried = 0;
+    for (const uid of lastScrapeUids) {
+      const booking = byUid.get(uid);
+      if (scrapedUids.has(uid) || booking.status === 'cancelled' || hasBookingEnded(booking, now)) {
+        continue;
+      }
+      if (!complete) {
+        byUid.set(uid, { ...booking, lastSeen: timestamp });
+        carried++;
+        continue;
+      }
+      byUid.set(uid, {
+        ...booking,
+        status: 'cancelled',
+        cancelledAt: timestamp,
+        sequence: (booking.sequence || 0) + 1,
+        lastModified: timestamp
+      });
+      cancelled++;
+    }
+
+    const bookings = this.prune(Array.from(byUid.values()), now).sort(compareBookings);
+    const updated = { ...data, bookings, lastUpdated: timestamp };
+    await this.save(updated);
+
+    if (carried > 0) {
+      logger.warn(`Scrape was incomplete, not cancelling ${carried} bookings missing from it`);
+    }
+    logger.info(`Booking store updated`, {
+      scraped: tracked.length,
+      cancelled,
+      total: bookings.length,
+      pruned: byUid.size - bookings.length
+    });
+
+    return updated;
+  }
+
+  /**
+   * Drop bookings whose date falls outside the retention window
+   */
+  prune(bookings, now = new Date()) {
+    const retentionDays = getRetentionDays();
+    if (!retentionDays) {
+      return bookings;
+    }
+
+    const cutoff = new Date(now.getTime() - retentionDays * DAY_MS).toISOString().substring(0, 10);
+    return bookings.filter(booking => !booking.date || booking.date >= cutoff);
+  }
+}
+
+/**
+ * Days a cancelled booking stays in the feed as STATUS:CANCELLED
+ */
+function getCancellationGraceDays() {
+  const configured = parseInt(process.env.CANCELLATION_GRACE_DAYS, 10);
+  return Number.isNaN(configured) || configured < 0 ? CALENDAR.CANCELLATION_GRACE_DAYS : configured;
+}
+
+/**
+ * Drop cancelled bookings whose grace period has run out
+ */
+function withoutExpiredCancellations(bookings, now = new Date()) {
+  const graceMs = getCancellationGraceDays() * DAY_MS;
+  return bookings.filter(booking =>
+    booking.status !== 'cancelled' || now.getTime() - new Date(booking.cancelledAt).getTime() < graceMs
+  );
+}
+
+const createBookingStore = (filePath) => new BookingStore(filePath);
+
+module.exports = {
+  BookingStore,
+  createBookingStore,
+  getRetentionDays,
+  getCancellationGraceDays,
+  withoutExpiredCancellations
+};
@@ -0,0 +1,150 @@
+// Booking changes detected between consecutive scrapes
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { PATHS, CHANGES } = require('../config/constants');
+const { createLogger } = require('../utils/logger');
+const { writeJsonAtomic } = require('../utils/json-file');
+const { TRACKED_FIELDS, getBookingFingerprint } = require('../utils/booking-identity');
+const { hasBookingEnded } = require('../utils/timezone');
+
+const logger = createLogger('CHANGES');
+
+function normalize(value) {
+  return String(value ?? '').trim().toLowerCase();
+}
+
+function pickTrackedFields(booking) {
+  return Object.fromEntries(TRACKED_FIELDS.map(field => [field, booking[field] ?? null]));
+}
+
+function getChangedFields(before, after) {
+  return TRACKED_FIELDS.filter(field => normalize(before[field]) !== normalize(after[field]));
+}
+
+function createChange(type, detectedAt, fields) {
+  return { id: crypto.randomUUID(), type, detectedAt, ...fields };
+}
+
+/**
+ * Pair removed and added bookings that are really one booking moved to another
+ * room or time. Without a Lucid booking ID the UID changes on a move, so match
+ * on title and date, and only when the match is unambiguous.
+ */
+function pairMovedBookings(removed, added) {
+  const keyOf = booking => `${normalize(booking.title)}|${booking.date}`;
+  const countKeys = list => list.reduce((counts, booking) => counts.set(keyOf(booking), (counts.get(keyOf(booking)) || 0) + 1), new Map());
+  const removedCounts = countKeys(removed);
+  const addedCounts = countKeys(added);
+
+  const pairs = [];
+  for (const before of removed) {
+    const key = keyOf(before);
+    if (removedCounts.get(key) === 1 && addedCounts.get(key) === 1) {
+      pairs.push([before, added.find(booking => keyOf(booking) === key)]);
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Compare the bookings seen in the previous scrape with the current one.
+ * Bookings that merely dropped off because they have ended are not removals.
+ */
+function diffBookings(previous, current, now = new Date()) {
+  const detectedAt = now.toISOString();
+  const previousByUid = new Map(previous.map(booking => [booking.uid, booking]));
+  const currentByUid = new Map(current.map(booking => [booking.uid, booking]));
+
+  const changes = [];
+
+  for (const [uid, after] of currentByUid) {
+    const before = previousByUid.get(uid);
+    if (before && (before.fingerprint || getBookingFingerprint(before)) !== after.fingerprint) {
+      changes.push(createChange('modified', detectedAt, {
+        uid,
+        changedFields: getChangedFields(before, after),
+        previous: pickTrackedFields(before),
+        booking: pickTrackedFields(after)
+      }));
+    }
+  }
+
+  let added = current.filter(booking => !previousByUid.has(booking.uid));
+  let removed = previous.filter(booking => !currentByUid.has(booking.uid) && !hasBookingEnded(booking, now));
+
+  for (const [before, after] of pairMovedBookings(removed, added)) {
+    changes.push(createChange('modified', detectedAt, {
+      uid: after.uid,
+      previousUid: before.uid,
+      changedFields: getChangedFields(before, after),
+      previous: pickTrackedFields(before),
+      booking: pickTrackedFields(after)
+    }));
+    added = added.filter(booking => booking !== after);
+    removed = removed.filter(booking => booking !== before);
+  }
+
+  added.forEach(booking => changes.push(createChange('added', detectedAt, {
+    uid: booking.uid,
+    booking: pickTrackedFields(booking)
+  })));
+
+  removed.forEach(booking => changes.push(createChange('removed', detectedAt, {
+    uid: booking.uid,
+    booking: pickTrackedFields(booking)
+  })));
+
+  return changes;
+}
+
+class ChangeLog {
+  constructor(filePath = path.join(__dirname, '../../', PATHS.CHANGES_DATA)) {
+    this.filePath = filePath;
+  }
+
+  async load() {
+    try {
+      if (await fs.pathExists(this.filePath)) {
+        const data = await fs.readJson(this.filePath);
+        return data.changes || [];
+      }
+    } catch (error) {
+      logger.error('Error reading change log', error);
+    }
+
+    return [];
+  }
+
+  async record(changes) {
+    if (changes.length === 0) {
+      logger.debug('No booking changes to record');
+      return;
+    }
+
+    const existing = await this.load();
+    const all = [...existing, ...changes].slice(-CHANGES.MAX_RECORDS);
+
+    await writeJsonAtomic(this.filePath, { changes: all });
+
+    logger.info(`Recorded ${changes.length} booking changes`, {
+      added: changes.filter(change => change.type === 'added').length,
+      removed: changes.filter(change => change.type === 'removed').length,
+      modified: changes.filter(change => change.type === 'modified').length
+    });
+  }
+
+  async getSince(since) {
+    const changes = await this.load();
+    return changes.filter(change => new Date(change.detectedAt) >= since);
+  }
+}
+
+const createChangeLog = (filePath) => new ChangeLog(filePath);
+
+module.exports = {
+  ChangeLog,
+  createChangeLog,
+  diffBookings
+};
@@ -0,0 +1,253 @@
+// Secret feed tokens: per-subscriber calendar URLs for clients that can't send
+// Basic auth credentials (e.g. Google Calendar). Only SHA-256 hashes are stored.
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { PATHS, FEED_TOKENS } = require('../config/constants');
+const { createLogger } = require('../utils/logger');
+const { writeJsonAtomic } = require('../utils/json-file');
+
+const logger = createLogger('TOKENS');
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Token record as shown to admins: everything except the hash
+ */
+function describeToken({ hash, ...record }) {
+  return record;
+}
+
+// Stores are created per request, so the write queue and the unsaved token
+// uses live here, keyed by file path
+const writeQueues = new Map();
+const pendingUses = new Map();
+const flushTimers = new Map();
+
+class FeedTokenStore {
+  constructor(filePath = path.join(__dirname, '../../', PATHS.FEED_TOKENS)) {
+    this.filePath = filePath;
+  }
+
+  async read() {
+    if (!await fs.pathExists(this.filePath)) {
+      return [];
+    }
+    const data = await fs.readJson(this.filePath);
+    return data.tokens || [];
+  }
+
+  async load() {
+    try {
+      return await this.read();
+    } catch (error) {
+      logger.error('Error reading feed tokens', error);
+      return [];
+    }
+  }
+
+  async save(tokens) {
+    await writeJsonAtomic(this.filePath, { tokens });
+  }
+
+  /**
+   * Run `change` on freshly read tokens and save them, one change at a time per
+   * file, so concurrent requests can't overwrite each other's edits. `change`
+   * returns the result to resolve with. An unreadable file fails the change
+   * rather than being overwritten.
+   */
+  update(change) {
+    const previous = writeQueues.get(this.filePath) || Promise.resolve();
+    const next = previous.then(async () => {
+      const tokens = await this.read();
+      const result = change(tokens);
+      await this.save(tokens);
+      return result;
+    });
+    writeQueues.set(this.filePath, next.catch(() => {}));
+    return next;
+  }
+
+  /**
+   * Write the token uses recorded by `verify` since the last flush
+   */
+  async flushUses() {
+    clearTimeout(flushTimers.get(this.filePath));
+    flushTimers.delete(this.filePath);
+    const uses = pendingUses.get(this.filePath);
+    if (!uses || uses.size === 0) {
+      return;
+    }
+    pendingUses.delete(this.filePath);
+
+    await this.update((tokens) => {
+      for (const record of tokens) {
+        const usedAt = uses.get(record.id);
+        if (usedAt && (!record.lastUsedAt || usedAt > record.lastUsedAt)) {
+          record.lastUsedAt = usedAt;
+        }
+      }
+    });
+  }
+
+  /**
+   * Issue a token for one feed (an account id or the team feed). The plain
+   * token is only returned here; it can't be recovered later.
+   *
+   * @returns {{token: string, record: object}}
+   */
+  async create({ name, feed }) {
+    const token = crypto.randomBytes(FEED_TOKENS.TOKEN_BYTES).toString('base64url');
+    const record = {
+      id: crypto.randomBytes(4).toString('hex'),
+      name,
+      feed,
+      hash: hashToken(token),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null
+    };
+
+    await this.update(tokens => tokens.push(record));
+    logger.info('Feed token created', { id: record.id, name, feed });
+
+    return { token, record: describeToken(record) };
+  }
+
+  async list() {
+    const uses = pendingUses.get(this.filePath);
+    return (await this.load()).map(record => describeToken({
+      ...record,
+      lastUsedAt: uses?.get(record.id) || record.lastUsedAt
+    }));
+  }
+
+  /**
+   * Revoke a token by id. Returns the revoked record, or null if there is none.
+   */
+  async revoke(id) {
+    const record = await this.update((tokens) => {
+      const found = tokens.find(token => token.id === id);
+      if (found && !found.revokedAt) {
+        found.revokedAt = new Date().toISOString();
+        logger.info('Feed token revoked', { id, name: found.name });
+      }
+      return found;
+    });
+
+    return record ? describeToken(record) : null;
+  }
+
+  /**
+   * Look up an active token and record its use. Returns the token record, or
+   * null when the token is unknown or revoked. Uses are kept in memory and
+   * written by `flushUses`, at most once per LAST_USED_RESOLUTION.
+   */
+  async verify(token, now = new Date()) {
+    if (!token || !TOKEN_PATTERN.test(token)) {
+      return null;
+    }
+
+    const hash = Buffer.from(hashToken(token), 'hex');
+    const tokens = await this.load();
+    const record = tokens.find(candidate =>
+      !candidate.revokedAt && crypto.timingSafeEqual(Buffer.from(candidate.hash, 'hex'), hash)
+    );
+    if (!record) {
+      return null;
+    }
+
+    // Calendar clients poll often; don't rewrite the file on every request
+    if (!pendingUses.has(this.filePath)) {
+      pendingUses.set(this.filePath, new Map());
+    }
+    const uses = pendingUses.get(this.filePath);
+    const lastUsedAt = uses.get(record.id) || record.lastUsedAt;
+    if (!lastUsedAt || now.getTime() - new Date(lastUsedAt).getTime() >= FEED_TOKENS.LAST_USED_RESOLUTION) {
+      uses.set(record.id, now.toISOString());
+    }
+    record.lastUsedAt = uses.get(record.id) || record.lastUsedAt;
+
+    if (uses.size > 0 && !flushTimers.has(this.filePath)) {
+      const timer = setTimeout(() => {
+        this.flushUses().catch(error => logger.warn('Could not record feed token use', error));
+      }, FEED_TOKENS.LAST_USED_RESOLUTION);
+      flushTimers.set(this.filePath, timer.unref());
+    }
+
+    logger.info('Feed token used', { id: record.id, name: record.name, feed: record.feed });
+    return describeToken(record);
+  }
+}
+
+const createFeedTokenStore = (filePath) => new FeedTokenStore(filePath);
+
+// Manage tokens from the command line: `npm run feed-tokens -- <list|create|revoke> ...`
+if (require.main === module) {
+  require('dotenv').config();
+  const { getDefaultAccount } = require('../config/accounts');
+  const { getFeedIds } = require('../config/feeds');
+  const [command, ...args] = process.argv.slice(2);
+  const store = createFeedTokenStore();
+
+  const commands = {
+    async list() {
+      const tokens = await store.list();
+      if (tokens.length === 0) {
+        logger.info('No feed tokens');
+      }
+      tokens.forEach(token => logger.info(`${token.id}  ${token.name}`, {
+        feed: token.feed,
+        createdAt: token.createdAt,
+        lastUsedAt: token.lastUsedAt,
+        revokedAt: token.revokedAt
+      }));
+    },
+
+    async create(name, feed = getDefaultAccount().id) {
+      if (!name) {
+        throw new Error('Usage: create <name> [feed]');
+      }
+      if (!getFeedIds().includes(feed)) {
+        throw new Error(`Unknown feed "${feed}", expected one of: ${getFeedIds().join(', ')}`);
+      }
+      const { token, record } = await store.create({ name, feed });
+      logger.success(`Created feed token ${record.id} for ${name}`);
+      logger.info(`Calendar URL (shown once): /calendar/${token}.ics`);
+    },
+
+    async revoke(id) {
+      if (!id) {
+        throw new Error('Usage: revoke <id>');
+      }
+      const record = await store.revoke(id);
+      if (!record) {
+        throw new Error(`No feed token with id ${id}`);
+      }
+      logger.success(`Revoked feed token ${id} (${record.name})`);
+    }
+  };
+
+  if (!Object.hasOwn(commands, command || '')) {
+    logger.error('Usage: npm run feed-tokens -- list | create <name> [feed] | revoke <id>');
+    process.exit(1);
+  }
+
+  commands[command](...args)
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logger.error(error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  FeedTokenStore,
+  createFeedTokenStore,
+  hashToken
+};
@@ -0,0 +1,80 @@
+// History of scraper runs for diagnostics and the /status endpoint
+
+const fs = require('fs-extra');
+const path = require('path');
+const { PATHS, RUN_HISTORY } = require('../config/constants');
+const { createLogger } = require('../utils/logger');
+const { writeJsonAtomic } = require('../utils/json-file');
+
+const logger = createLogger('RUNS');
+
+// Phase a run was in when it failed -> failure category
+const PHASE_FAILURE_CATEGORIES = {
+  launching: 'browser',
+  authenticating: 'authentication',
+  'awaiting-magic-link': 'magic-link-timeout',
+  extracting: 'extraction',
+  parsing: 'parsing',
+  saving: 'storage'
+};
+
+/**
+ * Classify a failed run from the error and the phase it stopped in
+ */
+function categorizeFailure(error, phase) {
+  if (error?.code === 'SCRAPE_LOCKED') {
+    return 'locked';
+  }
+  if (/timeout|timed out/i.test(error?.message || '') && phase !== 'awaiting-magic-link') {
+    return 'timeout';
+  }
+  return PHASE_FAILURE_CATEGORIES[phase] || 'unknown';
+}
+
+class RunHistory {
+  constructor(filePath = path.join(__dirname, '../../', PATHS.RUN_HISTORY)) {
+    this.filePath = filePath;
+  }
+
+  async load() {
+    try {
+      if (await fs.pathExists(this.filePath)) {
+        const data = await fs.readJson(this.filePath);
+        return data.runs || [];
+      }
+    } catch (error) {
+      logger.error('Error reading run history', error);
+    }
+
+    return [];
+  }
+
+  async record(run) {
+    try {
+      const runs = [...await this.load(), run].slice(-RUN_HISTORY.MAX_RUNS);
+
+      await writeJsonAtomic(this.filePath, { runs });
+
+      logger.debug('Recorded scraper run', { outcome: run.outcome, durationMs: run.durationMs });
+    } catch (error) {
+      // Diagnostics must never break a scrape
+      logger.warn('Could not record scraper run', error);
+    }
+  }
+
+  /**
+   * Most recent runs first
+   */
+  async getRecent(limit = RUN_HISTORY.STATUS_LIMIT) {
+    const runs = await this.load();
+    return runs.slice(-limit).reverse();
+  }
+}
+
+const createRunHistory = (filePath) => new RunHistory(filePath);
+
+module.exports = {
+  RunHistory,
+  createRunHistory,
+  categorizeFailure
+};
@@ -0,0 +1,63 @@
+// Magic links the scraper has already opened. Lucid's links are single-use, so
+// a link seen before is rejected rather than sent to the browser again.
+// Only SHA-256 hashes are stored.
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { PATHS, LOGIN_INTAKE } = require('../config/constants');
+const { createLogger } = require('../utils/logger');
+const { writeJsonAtomic } = require('../utils/json-file');
+
+const logger = createLogger('LOGIN');
+
+function hashLink(url) {
+  return crypto.createHash('sha256').update(String(url).trim()).digest('hex');
+}
+
+class UsedMagicLinkStore {
+  constructor(filePath = path.join(__dirname, '../../', PATHS.USED_MAGIC_LINKS)) {
+    this.filePath = filePath;
+  }
+
+  async load() {
+    try {
+      if (await fs.pathExists(this.filePath)) {
+        const data = await fs.readJson(this.filePath);
+        return data.links || [];
+      }
+    } catch (error) {
+      logger.error('Error reading used magic links', error);
+    }
+
+    return [];
+  }
+
+  async save(links) {
+    await writeJsonAtomic(this.filePath, { links });
+  }
+
+  async has(url) {
+    const hash = hashLink(url);
+    return (await this.load()).some(link => link.hash === hash);
+  }
+
+  /**
+   * Remember a link as used, keeping only the most recent ones
+   */
+  async markUsed(url, accountId = null) {
+    const hash = hashLink(url);
+    const links = (await this.load()).filter(link => link.hash !== hash);
+    links.push({ hash, account: accountId, usedAt: new Date().toISOString() });
+    await this.save(links.slice(-LOGIN_INTAKE.MAX_USED_LINKS));
+  }
+}
+
+function createUsedMagicLinkStore(filePath) {
+  return new UsedMagicLinkStore(filePath);
+}
+
+module.exports = {
+  UsedMagicLinkStore,
+  createUsedMagicLinkStore
+};
@@ -0,0 +1,109 @@
+// Booking filters shared by the calendar feeds, saved views and the export API.
+// Filters come from query parameters or from a saved view in config.json,
+// which uses the same names: room, from, to, past and q.
+
+const { hasBookingEnded } = require('./timezone');
+const { getCanonicalRoomName } = require('../config/rooms');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function normalize(value) {
+  return String(value ?? '').trim().toLowerCase();
+}
+
+function normalizeRoom(room) {
+  return normalize(getCanonicalRoomName(room));
+}
+
+function isValidDate(value) {
+  if (!DATE_PATTERN.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+// Express gives a string for one value and an array for repeated parameters
+function toList(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  return (Array.isArray(value) ? value : [value]).map(String).filter(item => item.trim() !== '');
+}
+
+/**
+ * Build a filter from query parameters (or a saved view definition)
+ *
+ * @returns {{filter: object, errors: string[]}}
+ */
+function parseBookingFilter(params = {}) {
+  const errors = [];
+  const filter = {};
+
+  const rooms = toList(params.room);
+  if (rooms.length > 0) {
+    filter.rooms = rooms;
+  }
+
+  for (const bound of ['from', 'to']) {
+    if (params[bound] === undefined || params[bound] === '') {
+      continue;
+    }
+    if (typeof params[bound] !== 'string' || !isValidDate(params[bound])) {
+      errors.push(`"${bound}" must be a date in YYYY-MM-DD format`);
+    } else {
+      filter[bound] = params[bound];
+    }
+  }
+  if (filter.from && filter.to && filter.from > filter.to) {
+    errors.push('"from" must not be after "to"');
+  }
+
+  if (params.past !== undefined) {
+    const past = String(params.past).toLowerCase();
+    if (past !== 'true' && past !== 'false') {
+      errors.push('"past" must be true or false');
+    } else {
+      filter.past = past === 'true';
+    }
+  }
+
+  if (params.q !== undefined && normalize(params.q) !== '') {
+    filter.q = String(params.q);
+  }
+
+  return { filter, errors };
+}
+
+/**
+ * Bookings matching every part of the filter. Rooms match case-insensitively
+ * and by registry alias; date bounds are inclusive.
+ */
+function applyBookingFilter(bookings, filter = {}, now = new Date()) {
+  const rooms = filter.rooms ? new Set(filter.rooms.map(normalizeRoom)) : null;
+  const query = filter.q ? normalize(filter.q) : null;
+
+  return bookings.filter(booking => {
+    if (rooms && !rooms.has(normalizeRoom(booking.room))) {
+      return false;
+    }
+    if (filter.from && booking.date < filter.from) {
+      return false;
+    }
+    if (filter.to && booking.date > filter.to) {
+      return false;
+    }
+    if (filter.past === false && hasBookingEnded(booking, now)) {
+      return false;
+    }
+    if (query && !normalize(booking.title).includes(query) && !normalize(booking.description).includes(query)) {
+      return false;
+    }
+    return true;
+  });
+}
+
+module.exports = {
+  parseBookingFilter,
+  applyBookingFilter
+};
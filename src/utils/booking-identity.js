@@ -0,0 +1,148 @@
+// Stable booking identity and revision tracking
+
+const crypto = require('crypto');
+const { roomKey, getCanonicalRoomName } = require('../config/rooms');
+
+// Fields whose changes count as a new revision of a booking
+const TRACKED_FIELDS = ['title', 'room', 'date', 'startTime', 'endTime', 'description'];
+
+function normalizeKeyPart(value) {
+  return String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function sha1(value) {
+  return crypto.createHash('sha1').update(value).digest('hex');
+}
+
+/**
+ * Room the booking was scraped with. The room registry may have renamed
+ * `room`, and registry edits must not change identities.
+ */
+function getScrapedRoom(booking) {
+  return booking.scrapedRoom || booking.room;
+}
+
+function getSlotKey(booking) {
+  return [getScrapedRoom(booking), booking.date, booking.startTime].map(normalizeKeyPart).join('|');
+}
+
+/**
+ * Identity key for a booking: Lucid's own booking ID when we have one,
+ * otherwise scraped room + date + start time
+ */
+function getBookingKey(booking) {
+  if (booking.bookingId) {
+    return `id:${normalizeKeyPart(booking.bookingId)}`;
+  }
+
+  return getSlotKey(booking);
+}
+
+/**
+ * Every key a booking can be recognized by. The DOM parser usually finds
+ * Lucid's booking ID and the LLM parser usually doesn't, so a booking is
+ * matched by either its ID or its slot, whichever parser ran. Slots match on
+ * the scraped and the registry room name alike, so adding or editing an
+ * alias doesn't turn a booking into a new one.
+ */
+function getIdentityKeys(booking) {
+  const rooms = new Set([getScrapedRoom(booking), booking.room]
+    .flatMap(room => [roomKey(room), roomKey(getCanonicalRoomName(room))]));
+  const keys = Array.from(rooms, room => `room:${room}|${normalizeKeyPart(booking.date)}|${normalizeKeyPart(booking.startTime)}`);
+  if (booking.bookingId) {
+    keys.unshift(getBookingKey(booking));
+  }
+  return keys;
+}
+
+/**
+ * Persistent iCalendar UID derived from the booking identity
+ */
+function getBookingUid(booking) {
+  return `lucid-${sha1(getBookingKey(booking)).substring(0, 20)}@lucid-to-ics`;
+}
+
+/**
+ * Hash of the tracked booking fields, used to detect content changes
+ */
+function getBookingFingerprint(booking) {
+  const content = TRACKED_FIELDS.map(field => normalizeKeyPart(booking[field]));
+  return sha1(JSON.stringify(content));
+}
+
+/**
+ * Index previous bookings by each of their identity keys, active bookings
+ * ahead of cancelled ones sharing a slot
+ */
+function indexByIdentity(previousBookings) {
+  const byKey = new Map();
+  for (const booking of previousBookings) {
+    for (const key of getIdentityKeys(booking)) {
+      byKey.set(key, [...(byKey.get(key) || []), booking]);
+    }
+  }
+  for (const candidates of byKey.values()) {
+    candidates.sort((a, b) => (a.status === 'cancelled') - (b.status === 'cancelled'));
+  }
+  return byKey;
+}
+
+/**
+ * Two different booking IDs are two different bookings, even in the same slot
+ */
+function canBeSameBooking(booking, previous) {
+  return !booking.bookingId || !previous.bookingId || getBookingKey(booking) === getBookingKey(previous);
+}
+
+/**
+ * Assign UID, SEQUENCE and created/lastModified timestamps to freshly scraped
+ * bookings, carrying them over from the previous scrape. A booking seen
+ * before keeps its UID even when it is now recognized by another key. The
+ * sequence only goes up when a booking's tracked fields actually change.
+ */
+function trackBookingRevisions(bookings, previousBookings = [], now = new Date()) {
+  const timestamp = now.toISOString();
+  const previousByKey = indexByIdentity(previousBookings);
+  const seen = new Set();
+  const tracked = [];
+
+  for (const booking of bookings) {
+    const previous = getIdentityKeys(booking)
+      .flatMap(key => previousByKey.get(key) || [])
+      .find(candidate => canBeSameBooking(booking, candidate) && !seen.has(candidate.uid || getBookingUid(candidate)));
+    const uid = previous ? (previous.uid || getBookingUid(previous)) : getBookingUid(booking);
+    if (seen.has(uid)) {
+      continue;
+    }
+    seen.add(uid);
+
+    const fingerprint = getBookingFingerprint(booking);
+
+    if (!previous) {
+      tracked.push({ ...booking, uid, fingerprint, sequence: 0, created: timestamp, lastModified: timestamp });
+      continue;
+    }
+
+    const previousSequence = previous.sequence || 0;
+    const changed = (previous.fingerprint || getBookingFingerprint(previous)) !== fingerprint;
+
+    tracked.push({
+      ...booking,
+      uid,
+      fingerprint,
+      sequence: changed ? previousSequence + 1 : previousSequence,
+      created: previous.created || timestamp,
+      lastModified: changed ? timestamp : (previous.lastModified || timestamp)
+    });
+  }
+
+  return tracked;
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  getBookingKey,
+  getBookingUid,
+  getBookingFingerprint,
+  trackBookingRevisions
+};
@@ -36,14 +36,19 @@ function getChromeConfig() {
 }
 
 /**
- * Launch browser with optimal configuration
+ * Launch browser with optimal configuration. With `userDataDir` Chrome keeps
+ * its profile (cookies, web storage, IndexedDB) there between launches.
  */
-async function launchBrowser() {
+async function launchBrowser({ userDataDir = null } = {}) {
   logger.progress('Initializing Puppeteer browser');
   
   try {
     const config = getChromeConfig();
-    logger.debug('Browser config', { headless: config.headless, hasExecutable: !!config.executablePath });
+    if (userDataDir) {
+      fs.mkdirSync(userDataDir, { recursive: true, mode: 0o700 });
+      config.userDataDir = userDataDir;
+    }
+    logger.debug('Browser config', { headless: config.headless, hasExecutable: !!config.executablePath, persistentProfile: !!userDataDir });
     
     const browser = await puppeteer.launch(config);
     logger.success('Browser launched successfully');
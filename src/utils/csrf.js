@@ -0,0 +1,53 @@
+// CSRF tokens for the login form: a random nonce in a SameSite cookie and, in
+// the form, an HMAC of that nonce. Another site can neither read the form nor
+// set the cookie, so it can't produce a matching pair.
+
+const crypto = require('crypto');
+
+// Per process: forms rendered before a restart have to be reloaded
+const secret = crypto.randomBytes(32);
+
+function sign(nonce) {
+  return crypto.createHmac('sha256', secret).update(nonce).digest('base64url');
+}
+
+/**
+ * @returns {{nonce: string, token: string}} nonce for the cookie, token for the form
+ */
+function issueCsrfToken() {
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  return { nonce, token: sign(nonce) };
+}
+
+function verifyCsrfToken(nonce, token) {
+  if (typeof nonce !== 'string' || typeof token !== 'string' || !nonce || !token) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(nonce));
+  const actual = Buffer.from(token);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Value of one cookie from the request's Cookie header
+ */
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index !== -1 && part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  issueCsrfToken,
+  verifyCsrfToken,
+  readCookie
+};
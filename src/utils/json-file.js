@@ -0,0 +1,28 @@
+// Atomic JSON writes shared by the data stores
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Write `data` as JSON to a temporary file and rename it over `filePath`, so
+ * readers never see a half-written file. Each write gets its own temporary
+ * file, so concurrent writes can't rename one another's away. `mode` sets the
+ * permissions of the new file.
+ */
+async function writeJsonAtomic(filePath, data, { mode } = {}) {
+  await fs.ensureDir(path.dirname(filePath));
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+  try {
+    await fs.writeJson(tempPath, data, { spaces: 2, ...(mode !== undefined && { mode }) });
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.remove(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+module.exports = {
+  writeJsonAtomic
+};
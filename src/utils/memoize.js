@@ -0,0 +1,21 @@
+// Caching of settings resolved from a changing source
+
+/**
+ * Wrap `resolve(source)` so it only runs again when `source` changes (compared
+ * with ===). The session store passes its key variables, so changed keys are
+ * picked up. Config modules pass loadAppConfig(), which reads the file once per
+ * process, so their settings are resolved once.
+ */
+function memoizeLatest(resolve) {
+  let cached = null;
+  return (source) => {
+    if (!cached || cached.source !== source) {
+      cached = { source, value: resolve(source) };
+    }
+    return cached.value;
+  };
+}
+
+module.exports = {
+  memoizeLatest
+};
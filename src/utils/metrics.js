@@ -0,0 +1,131 @@
+// Prometheus metrics for the scraper, LLM calls and calendar feed
+
+const client = require('prom-client');
+const { createBookingStore, withoutExpiredCancellations } = require('../storage/booking-store');
+const { getAccounts } = require('../config/accounts');
+
+const PREFIX = 'lucid_';
+const register = new client.Registry();
+
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+const scrapeRuns = new client.Counter({
+  name: `${PREFIX}scrape_runs_total`,
+  help: 'Scraper runs by outcome',
+  labelNames: ['outcome'],
+  registers: [register]
+});
+
+const scrapeDuration = new client.Histogram({
+  name: `${PREFIX}scrape_duration_seconds`,
+  help: 'Duration of scraper runs',
+  labelNames: ['outcome'],
+  buckets: [10, 30, 60, 120, 300, 600, 900],
+  registers: [register]
+});
+
+// Read from the booking store so scrapes run by another process count too
+new client.Gauge({
+  name: `${PREFIX}seconds_since_last_successful_scrape`,
+  help: 'Seconds since bookings were last refreshed from Lucid (-1 if never)',
+  labelNames: ['account'],
+  registers: [register],
+  async collect() {
+    this.reset();
+    for (const account of getAccounts()) {
+      const { lastUpdated } = await createBookingStore(account.paths.bookings).load();
+      this.set({ account: account.id }, lastUpdated ? (Date.now() - new Date(lastUpdated).getTime()) / 1000 : -1);
+    }
+  }
+});
+
+new client.Gauge({
+  name: `${PREFIX}bookings_served`,
+  help: 'Bookings currently published in each account\'s calendar feed',
+  labelNames: ['account'],
+  registers: [register],
+  async collect() {
+    this.reset();
+    for (const account of getAccounts()) {
+      const bookings = await createBookingStore(account.paths.bookings).getBookings();
+      this.set({ account: account.id }, withoutExpiredCancellations(bookings).length);
+    }
+  }
+});
+
+const llmRequestDuration = new client.Histogram({
+  name: `${PREFIX}llm_request_duration_seconds`,
+  help: 'LLM request latency',
+  labelNames: ['provider', 'model'],
+  buckets: [1, 2, 5, 10, 20, 30, 60, 120, 300],
+  registers: [register]
+});
+
+const llmTokens = new client.Counter({
+  name: `${PREFIX}llm_tokens_total`,
+  help: 'LLM tokens consumed',
+  labelNames: ['provider', 'model', 'direction'],
+  registers: [register]
+});
+
+const llmErrors = new client.Counter({
+  name: `${PREFIX}llm_errors_total`,
+  help: 'Failed LLM requests',
+  labelNames: ['provider', 'model'],
+  registers: [register]
+});
+
+const loginAttempts = new client.Counter({
+  name: `${PREFIX}login_attempts_total`,
+  help: 'Magic-link login attempts by result',
+  labelNames: ['result'],
+  registers: [register]
+});
+
+const magicLinkWaits = new client.Histogram({
+  name: `${PREFIX}magic_link_wait_seconds`,
+  help: 'Time spent waiting for a magic link, by outcome',
+  labelNames: ['outcome'],
+  buckets: [5, 15, 30, 60, 120, 300, 600],
+  registers: [register]
+});
+
+const calendarRequests = new client.Counter({
+  name: `${PREFIX}calendar_requests_total`,
+  help: 'Calendar feed requests by HTTP status',
+  labelNames: ['status'],
+  registers: [register]
+});
+
+const calendarGeneration = new client.Histogram({
+  name: `${PREFIX}calendar_generation_seconds`,
+  help: 'Time to generate the ICS feed',
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1],
+  registers: [register]
+});
+
+/**
+ * Express handler for GET /metrics
+ */
+async function handleMetricsRequest(req, res) {
+  try {
+    res.set('Content-Type', register.contentType);
+    res.send(await register.metrics());
+  } catch (error) {
+    res.status(500).send(`# Error collecting metrics: ${error.message}\n`);
+  }
+}
+
+module.exports = {
+  register,
+  scrapeRuns,
+  scrapeDuration,
+  llmRequestDuration,
+  llmTokens,
+  llmErrors,
+  loginAttempts,
+  magicLinkWaits,
+  calendarRequests,
+  calendarGeneration,
+  handleMetricsRequest
+};
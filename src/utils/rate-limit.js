@@ -0,0 +1,34 @@
+// In-memory fixed-window rate limiting per client IP
+
+/**
+ * Express middleware allowing `max` requests per client per `windowMs`;
+ * further requests get 429 with a Retry-After header
+ */
+function createRateLimiter({ windowMs, max, message = 'Too many requests' }) {
+  const clients = new Map();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    for (const [key, entry] of clients) {
+      if (entry.resetAt <= now) {
+        clients.delete(key);
+      }
+    }
+
+    const entry = clients.get(req.ip) || { count: 0, resetAt: now + windowMs };
+    entry.count++;
+    clients.set(req.ip, entry);
+
+    if (entry.count > max) {
+      const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: `${message}. Try again in ${Math.ceil(retryAfter / 60)} minute(s).` });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  createRateLimiter
+};
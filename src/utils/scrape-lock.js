@@ -0,0 +1,89 @@
+// Cross-process lock so only one scrape (and one Chrome) runs at a time
+
+const fs = require('fs-extra');
+const path = require('path');
+const { PATHS, SCHEDULER } = require('../config/constants');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('LOCK');
+
+const lockPath = path.join(__dirname, '../../', PATHS.SCRAPE_LOCK);
+
+// Whether this process holds the lock. A lock file naming our own PID that we
+// don't hold was left by an earlier process that had the same PID, which is
+// common after a container restart.
+let holding = false;
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * A lock is stale when its owner has died (or was an earlier process with our
+ * PID) or it has outlived any sane scrape
+ */
+async function isLockStale() {
+  try {
+    const lock = await fs.readJson(lockPath);
+    const age = Date.now() - new Date(lock.acquiredAt).getTime();
+    const leftOver = lock.pid === process.pid && !holding;
+    return leftOver || !isProcessAlive(lock.pid) || !(age < SCHEDULER.LOCK_STALE_AFTER);
+  } catch (error) {
+    // Unreadable or half-written lock file
+    return true;
+  }
+}
+
+async function acquireScrapeLock() {
+  await fs.ensureDir(path.dirname(lockPath));
+  const contents = JSON.stringify({ pid: process.pid, acquiredAt: new Date().toISOString() });
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      await fs.writeFile(lockPath, contents, { flag: 'wx' });
+      holding = true;
+      logger.debug('Scrape lock acquired', { pid: process.pid });
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      if (attempt === 0 && await isLockStale()) {
+        logger.warn('Removing stale scrape lock');
+        await fs.remove(lockPath);
+        continue;
+      }
+    }
+  }
+
+  const error = new Error('Another scrape is already running');
+  error.code = 'SCRAPE_LOCKED';
+  throw error;
+}
+
+async function releaseScrapeLock() {
+  try {
+    if (!holding) {
+      return;
+    }
+    holding = false;
+    const lock = await fs.readJson(lockPath);
+    if (lock.pid === process.pid) {
+      await fs.remove(lockPath);
+      logger.debug('Scrape lock released');
+    }
+  } catch (error) {
+    logger.warn('Could not release scrape lock', error);
+  }
+}
+
+module.exports = {
+  acquireScrapeLock,
+  releaseScrapeLock
+};
@@ -0,0 +1,150 @@
+// Timezone conversion helpers built on Intl (no server-local time involved)
+
+const { getVtimezoneComponent } = require('@touch4it/ical-timezones');
+const { CALENDAR } = require('../config/constants');
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+/**
+ * Check that a string is an IANA zone we can both convert and emit a VTIMEZONE for
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+
+  try {
+    getFormatter(timeZone);
+  } catch (error) {
+    return false;
+  }
+
+  return !!getVtimezoneComponent(timeZone);
+}
+
+/**
+ * Timezone the bookings are made in (wall-clock times shown on Lucid)
+ */
+function getBookingTimeZone() {
+  return process.env.BOOKING_TIMEZONE || CALENDAR.DEFAULT_TIMEZONE;
+}
+
+/**
+ * Wall-clock fields of an instant as seen in the given zone, packed into the
+ * UTC fields of a Date
+ */
+function toZonedWallClock(instant, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(instant)) {
+    parts[type] = Number(value);
+  }
+
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+}
+
+/**
+ * Offset of the zone from UTC at the given instant, in milliseconds
+ */
+function getTimeZoneOffset(instant, timeZone) {
+  const wholeSeconds = new Date(Math.floor(instant.getTime() / 1000) * 1000);
+  return toZonedWallClock(wholeSeconds, timeZone).getTime() - wholeSeconds.getTime();
+}
+
+/**
+ * A date (YYYY-MM-DD) and time (HH:MM) packed into the UTC fields of a
+ * timestamp. Impossible values such as 2026-13-45 or 25:00 are rejected
+ * rather than rolled over.
+ */
+function parseWallClock(date, time) {
+  const [year, month, day] = String(date).split('-').map(Number);
+  const [hour, minute] = String(time).split(':').map(Number);
+  const wallClock = new Date(Date.UTC(year, month - 1, day, hour, minute));
+
+  const rolledOver = wallClock.getUTCFullYear() !== year || wallClock.getUTCMonth() !== month - 1 ||
+    wallClock.getUTCDate() !== day || wallClock.getUTCHours() !== hour || wallClock.getUTCMinutes() !== minute;
+  if (Number.isNaN(wallClock.getTime()) || rolledOver) {
+    throw new Error(`Invalid booking date/time: ${date} ${time}`);
+  }
+  return wallClock.getTime();
+}
+
+/**
+ * Convert a wall-clock date (YYYY-MM-DD) and time (HH:MM) in the given zone to
+ * the UTC instant it denotes. Times skipped by a DST jump resolve to the
+ * shifted-forward time; ambiguous times during a fall-back resolve to the
+ * first occurrence.
+ */
+function zonedTimeToUtc(date, time, timeZone) {
+  const wallClock = parseWallClock(date, time);
+
+  const offsetBefore = getTimeZoneOffset(new Date(wallClock - 86400000), timeZone);
+  const offsetAfter = getTimeZoneOffset(new Date(wallClock + 86400000), timeZone);
+
+  // Try the larger offset first so the earlier of two candidate instants wins
+  const offsets = offsetBefore >= offsetAfter ? [offsetBefore, offsetAfter] : [offsetAfter, offsetBefore];
+  for (const offset of offsets) {
+    const candidate = new Date(wallClock - offset);
+    if (toZonedWallClock(candidate, timeZone).getTime() === wallClock) {
+      return candidate;
+    }
+  }
+
+  // Wall-clock time falls in a DST gap: apply the offset in effect before the jump
+  return new Date(wallClock - offsetBefore);
+}
+
+/**
+ * Start and end instants of a booking whose times are wall-clock times in the
+ * given zone. When the start falls in a DST gap and moves forward, the end is
+ * placed the booked duration after it, so the booking keeps its length
+ * whether or not the end was in the gap too.
+ */
+function getBookingInterval(booking, timeZone) {
+  const start = zonedTimeToUtc(booking.date, booking.startTime, timeZone);
+  const wallStart = parseWallClock(booking.date, booking.startTime);
+
+  if (toZonedWallClock(start, timeZone).getTime() > wallStart) {
+    const duration = parseWallClock(booking.date, booking.endTime) - wallStart;
+    return { start, end: new Date(start.getTime() + duration) };
+  }
+
+  return { start, end: zonedTimeToUtc(booking.date, booking.endTime, timeZone) };
+}
+
+/**
+ * Whether a booking has already finished, judged in the booking timezone
+ */
+function hasBookingEnded(booking, now = new Date()) {
+  try {
+    if (!booking.endTime) {
+      return zonedTimeToUtc(booking.date, booking.startTime, getBookingTimeZone()) <= now;
+    }
+    return getBookingInterval(booking, getBookingTimeZone()).end <= now;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  isValidTimeZone,
+  hasBookingEnded,
+  getBookingTimeZone,
+  getBookingInterval,
+  getVtimezoneComponent
+};